@@ -0,0 +1,92 @@
+/**
+ * channels/AlertChannel.js
+ * Базовий клас каналу доставки алертів. Канал сам вирішує, які алерти
+ * приймати (напрямок, мінімальний score), і як їх доставити.
+ *
+ * Алерт, що передається в канал:
+ *   { type, direction, pattern, symbol, score, tier, html, data }
+ *   html — текст у форматі Telegram HTML (AlertFormatter),
+ *   data — повні дані сигналу від детектора.
+ */
+
+const { config } = require('../config');
+
+class AlertChannel {
+  /**
+   * @param {string} name - назва каналу (як у ALERT_CHANNELS)
+   * @param {{ directions: string[], minScore: number }} settings
+   */
+  constructor(name, settings) {
+    this.name = name;
+    this.tag = `[${this.constructor.name}]`;
+    this.directions = new Set(settings.directions);
+    this.minScore = settings.minScore;
+    this.timeoutMs = config.channels.timeoutMs;
+  }
+
+  /**
+   * Чи проходить алерт фільтри каналу. minScore діє лише на патерни зі score —
+   * виснаження score не має і фільтрується тільки за напрямком.
+   * @param {{ direction: string, score?: number }} alert
+   * @returns {boolean}
+   */
+  accepts(alert) {
+    if (!this.directions.has(alert.direction)) return false;
+    return typeof alert.score !== 'number' || alert.score >= this.minScore;
+  }
+
+  /**
+   * Доставляє алерт; помилка доставки — виключення. Якщо сервіс вказав,
+   * коли повторити (429 retry_after), у помилці є retryAfterMs.
+   * @param {Object} alert
+   * @returns {Promise<void>}
+   */
+  async sendAlert(alert) {
+    throw new Error(`${this.tag} sendAlert не реалізовано`);
+  }
+
+  /**
+   * Доставляє статусне повідомлення (Telegram HTML)
+   * @param {string} html
+   * @returns {Promise<void>}
+   */
+  async sendStatus(html) {
+    throw new Error(`${this.tag} sendStatus не реалізовано`);
+  }
+
+  // ─── Для webhook каналів ──────────────────────────────────────────────────
+
+  async _postJson(url, body, headers = {}) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      const err = new Error(`HTTP ${res.status}: ${text.substring(0, 200)}`);
+      if (res.status === 429) err.retryAfterMs = this._retryAfterMs(res, text);
+      throw err;
+    }
+  }
+
+  /**
+   * Затримка з 429: заголовок Retry-After (Slack, секунди) або поле
+   * retry_after у JSON тілі (Discord, секунди з дробом)
+   */
+  _retryAfterMs(res, text) {
+    const header = parseFloat(res.headers.get('retry-after'));
+    if (!Number.isNaN(header)) return header * 1000;
+
+    try {
+      const body = JSON.parse(text);
+      if (typeof body.retry_after === 'number') return body.retry_after * 1000;
+    } catch {
+      // тіло не JSON
+    }
+    return undefined;
+  }
+}
+
+module.exports = AlertChannel;
@@ -0,0 +1,44 @@
+/**
+ * channels/ConsoleChannel.js
+ * Алерти простим текстом у stdout або, якщо задано файл, дописуються у файл.
+ * Зручно для локального запуску без месенджерів і для перенаправлення в інші інструменти.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AlertChannel = require('./AlertChannel');
+const AlertFormatter = require('../services/AlertFormatter');
+
+class ConsoleChannel extends AlertChannel {
+  /**
+   * @param {{ file?: string, directions: string[], minScore: number }} settings
+   */
+  constructor(settings) {
+    super('console', settings);
+    this.file = settings.file || null;
+    this.formatter = new AlertFormatter();
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+  }
+
+  async sendAlert(alert) {
+    await this._write(alert.html);
+  }
+
+  async sendStatus(html) {
+    await this._write(html);
+  }
+
+  async _write(html) {
+    const text = `${this.formatter.toPlain(html)}\n\n`;
+    if (this.file) {
+      await fs.promises.appendFile(this.file, text);
+    } else {
+      process.stdout.write(text);
+    }
+  }
+}
+
+module.exports = ConsoleChannel;
@@ -0,0 +1,38 @@
+/**
+ * channels/DiscordChannel.js
+ * Доставка алертів у Discord через incoming webhook (Markdown).
+ */
+
+const AlertChannel = require('./AlertChannel');
+const AlertFormatter = require('../services/AlertFormatter');
+
+// Ліміт Discord на поле content
+const MAX_CONTENT_LENGTH = 2000;
+
+class DiscordChannel extends AlertChannel {
+  /**
+   * @param {{ webhookUrl: string, directions: string[], minScore: number }} settings
+   */
+  constructor(settings) {
+    super('discord', settings);
+    this.webhookUrl = settings.webhookUrl;
+    this.formatter = new AlertFormatter();
+  }
+
+  async sendAlert(alert) {
+    await this._send(alert.html);
+  }
+
+  async sendStatus(html) {
+    await this._send(html);
+  }
+
+  async _send(html) {
+    const content = this.formatter.toMarkdown(html);
+    await this._postJson(this.webhookUrl, {
+      content: content.length > MAX_CONTENT_LENGTH ? `${content.substring(0, MAX_CONTENT_LENGTH - 1)}…` : content,
+    });
+  }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,28 @@
+/**
+ * channels/SlackChannel.js
+ * Доставка алертів у Slack через incoming webhook (mrkdwn).
+ */
+
+const AlertChannel = require('./AlertChannel');
+const AlertFormatter = require('../services/AlertFormatter');
+
+class SlackChannel extends AlertChannel {
+  /**
+   * @param {{ webhookUrl: string, directions: string[], minScore: number }} settings
+   */
+  constructor(settings) {
+    super('slack', settings);
+    this.webhookUrl = settings.webhookUrl;
+    this.formatter = new AlertFormatter();
+  }
+
+  async sendAlert(alert) {
+    await this._postJson(this.webhookUrl, { text: this.formatter.toSlack(alert.html) });
+  }
+
+  async sendStatus(html) {
+    await this._postJson(this.webhookUrl, { text: this.formatter.toSlack(html) });
+  }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,54 @@
+/**
+ * channels/TelegramChannel.js
+ * Доставка алертів у Telegram чат через Bot API (HTML розмітка).
+ * Той самий TelegramBot використовує CommandService для команд.
+ */
+
+const TelegramBot = require('node-telegram-bot-api');
+const AlertChannel = require('./AlertChannel');
+
+class TelegramChannel extends AlertChannel {
+  /**
+   * @param {{ botToken: string, chatId: string, directions: string[], minScore: number }} settings
+   */
+  constructor(settings) {
+    super('telegram', settings);
+    this.bot = new TelegramBot(settings.botToken, { polling: false });
+    this.chatId = settings.chatId;
+  }
+
+  async sendAlert(alert) {
+    await this._send(alert.html, { disable_web_page_preview: true });
+  }
+
+  async sendStatus(html) {
+    await this._send(html);
+  }
+
+  async _send(html, options = {}) {
+    let timer;
+    // Таймаут на весь виклик: той самий bot.request обслуговує long polling команд,
+    // тож глобальний request.timeout бібліотеки тут не підходить. Запит при цьому
+    // не переривається: якщо повільний запит усе ж дійде, AlertQueue повторить
+    // його і повідомлення зʼявиться в чаті двічі. Bot API не має ключа
+    // ідемпотентності — дубль краще, ніж втрачений алерт.
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`таймаут ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+    try {
+      await Promise.race([
+        this.bot.sendMessage(this.chatId, html, { parse_mode: 'HTML', ...options }),
+        timeout,
+      ]);
+    } catch (err) {
+      // 429 Too Many Requests: { parameters: { retry_after: <секунди> } }
+      const retryAfter = err.response?.body?.parameters?.retry_after;
+      if (retryAfter !== undefined) err.retryAfterMs = retryAfter * 1000;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = TelegramChannel;
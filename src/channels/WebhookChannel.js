@@ -0,0 +1,53 @@
+/**
+ * channels/WebhookChannel.js
+ * Загальний JSON webhook: POST на довільний URL з ключовими полями сигналу
+ * і текстом алерту. Для інтеграцій (власні сервіси, n8n, Zapier тощо).
+ *
+ *   { kind: 'alert', type, direction, pattern, symbol, score, tier, time,
+ *     sweptLevels, sweepPrice, delta, totalVolume, poc, candleClose, late, text }
+ *   { kind: 'status', text }
+ */
+
+const AlertChannel = require('./AlertChannel');
+const AlertFormatter = require('../services/AlertFormatter');
+
+class WebhookChannel extends AlertChannel {
+  /**
+   * @param {{ url: string, authHeader?: string, directions: string[], minScore: number }} settings
+   */
+  constructor(settings) {
+    super('webhook', settings);
+    this.url = settings.url;
+    this.headers = settings.authHeader ? { Authorization: settings.authHeader } : {};
+    this.formatter = new AlertFormatter();
+  }
+
+  async sendAlert(alert) {
+    const { data } = alert;
+    await this._postJson(this.url, {
+      kind:        'alert',
+      type:        alert.type,
+      direction:   alert.direction,
+      pattern:     alert.pattern,
+      symbol:      alert.symbol,
+      score:       alert.score ?? null,
+      tier:        alert.tier ?? null,
+      time:        new Date(data.candle.openTime).toISOString(),
+      sweptLevels: data.sweptLevels,
+      sweepPrice:  data.sweepPrice,
+      delta:       data.delta,
+      totalVolume: data.totalVolume,
+      poc:         data.poc,
+      candleClose: data.candleClose,
+      // Надіслано з черги після lateAfterMs
+      late:        Boolean(alert.late),
+      text:        this.formatter.toPlain(alert.html),
+    }, this.headers);
+  }
+
+  async sendStatus(html) {
+    await this._postJson(this.url, { kind: 'status', text: this.formatter.toPlain(html) }, this.headers);
+  }
+}
+
+module.exports = WebhookChannel;
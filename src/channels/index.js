@@ -0,0 +1,29 @@
+/**
+ * channels/index.js
+ * Створює канали доставки алертів з config.channels
+ */
+
+const { config } = require('../config');
+const TelegramChannel = require('./TelegramChannel');
+const DiscordChannel = require('./DiscordChannel');
+const SlackChannel = require('./SlackChannel');
+const WebhookChannel = require('./WebhookChannel');
+const ConsoleChannel = require('./ConsoleChannel');
+
+const CHANNEL_CLASSES = {
+  telegram: TelegramChannel,
+  discord:  DiscordChannel,
+  slack:    SlackChannel,
+  webhook:  WebhookChannel,
+  console:  ConsoleChannel,
+};
+
+/**
+ * @param {string[]} [names] - назви каналів (ALERT_CHANNELS)
+ * @returns {import('./AlertChannel')[]}
+ */
+function createChannels(names = config.channels.enabled) {
+  return names.map(name => new CHANNEL_CLASSES[name](config.channels[name]));
+}
+
+module.exports = { createChannels };
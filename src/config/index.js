@@ -5,42 +5,226 @@
 
 require('dotenv').config();
 
+const { timeframeToMs } = require('../utils/timeframe');
+
 const config = {
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     chatId: process.env.TELEGRAM_CHAT_ID,
+    commandsEnabled: process.env.TELEGRAM_COMMANDS_ENABLED === 'true',
+    // Чати, яким дозволено команди (через кому); за замовчуванням — чат алертів
+    allowedChatIds: (process.env.TELEGRAM_ALLOWED_CHAT_IDS || process.env.TELEGRAM_CHAT_ID || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+  },
+
+  // Канали доставки алертів: ALERT_CHANNELS=telegram,discord,slack,webhook,console
+  // Кожен канал має власний фільтр: <КАНАЛ>_DIRECTIONS=SHORT,LONG і <КАНАЛ>_MIN_SCORE
+  // (MIN_SCORE діє лише на сигнали зі score; виснаження фільтрується тільки за напрямком)
+  channels: {
+    enabled: (process.env.ALERT_CHANNELS || 'telegram')
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean),
+    timeoutMs: parseInt(process.env.CHANNEL_TIMEOUT_MS) || 10_000,
+    telegram: {
+      ...channelFilter('TELEGRAM'),
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      chatId: process.env.TELEGRAM_CHAT_ID,
+    },
+    discord: {
+      ...channelFilter('DISCORD'),
+      webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+    },
+    slack: {
+      ...channelFilter('SLACK'),
+      webhookUrl: process.env.SLACK_WEBHOOK_URL,
+    },
+    webhook: {
+      ...channelFilter('WEBHOOK'),
+      url: process.env.WEBHOOK_URL,
+      authHeader: process.env.WEBHOOK_AUTH_HEADER, // напр. "Bearer <token>"
+    },
+    console: {
+      ...channelFilter('CONSOLE'),
+      file: process.env.CONSOLE_ALERT_FILE, // порожньо — stdout
+    },
+  },
+
+  // Персистентна черга доставки алертів (services/AlertQueue)
+  alertQueue: {
+    file: process.env.ALERT_QUEUE_FILE || 'data/alert-queue.json',
+    retryBaseMs: parseInt(process.env.ALERT_RETRY_BASE_MS) || 2_000,       // 2s, 4s, 8s…
+    retryMaxMs: parseInt(process.env.ALERT_RETRY_MAX_MS) || 300_000,
+    ratePerMinute: parseInt(process.env.ALERT_RATE_PER_MINUTE) || 20,      // на канал (чат); Telegram група — 20/хв
+    lateAfterMs: parseInt(process.env.ALERT_LATE_AFTER_MS) || 120_000,     // далі — з позначкою LATE
+    maxAgeMs: parseInt(process.env.ALERT_MAX_AGE_MS) || 3_600_000,         // далі — відкидається
   },
 
   binance: {
-    symbol: 'btcusdt',
-    aggTradeStream: 'wss://fstream.binance.com/ws/btcusdt@aggTrade',
-    klineStream: 'wss://fstream.binance.com/ws/btcusdt@kline_1m',
+    // Список символів через кому: SYMBOLS=btcusdt,ethusdt,solusdt
+    symbols: (process.env.SYMBOLS || 'btcusdt')
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean),
+    wsBaseUrl: process.env.BINANCE_WS_URL || 'wss://fstream.binance.com',
+    restBaseUrl: process.env.BINANCE_REST_URL || 'https://fapi.binance.com',
+    restTimeoutMs: parseInt(process.env.BINANCE_REST_TIMEOUT_MS) || 10_000,
+  },
+
+  backfill: {
+    enabled: process.env.BACKFILL_ENABLED !== 'false',
+    klineMinutes: parseInt(process.env.BACKFILL_KLINE_MINUTES) || 900, // 900 × 1m = 60 × 15m свічок
+    tradeMinutes: Math.min(parseInt(process.env.BACKFILL_TRADE_MINUTES) || 20, 60), // aggTrades для RollingStats
   },
 
   alert: {
-    cooldownMs: parseInt(process.env.ALERT_COOLDOWN_MS) || 300_000,
+    cooldownMs: parseInt(process.env.ALERT_COOLDOWN_MS) || 300_000,               // окремо для символу + напрямку
+    dedupWindowMs: parseInt(process.env.ALERT_DEDUP_WINDOW_MS) || 3_600_000,      // вікно дедублікації за зоною
+    zoneTolerancePct: parseFloat(process.env.ALERT_ZONE_TOLERANCE_PCT) || 0.05,   // розширення зони при порівнянні
+    maxPerHour: parseInt(process.env.ALERT_MAX_PER_HOUR) || 12,                   // для всіх символів разом
+    suppressedFile: process.env.ALERT_SUPPRESSED_FILE || 'results/suppressed-alerts.ndjson',
     deltaMultiplier: parseFloat(process.env.DELTA_MULTIPLIER) || 2.0,
     volumeMultiplier: parseFloat(process.env.VOLUME_MULTIPLIER) || 1.5,
     rollingWindow: parseInt(process.env.ROLLING_WINDOW) || 20,
-    exhaustionVolumeDropRatio: 0.5,   // обʼєм < 50% від середнього = виснаження
-    exhaustionDeltaNormalizeRatio: 0.3, // дельта < 30% від середнього = нормалізація
+    exhaustionVolumeDropRatio: parseFloat(process.env.EXHAUSTION_VOLUME_DROP_RATIO) || 0.5,         // обʼєм < 50% від середнього = виснаження
+    exhaustionDeltaNormalizeRatio: parseFloat(process.env.EXHAUSTION_DELTA_NORMALIZE_RATIO) || 0.3, // дельта < 30% від середнього = нормалізація
+    exhaustionConfirmCandles: parseInt(process.env.EXHAUSTION_CONFIRM_CANDLES) || 2,                 // свічок на розворот після виснаження
+  },
+
+  confirmation: {
+    windowCandles: parseInt(process.env.CONFIRM_WINDOW_CANDLES) || 2, // скільки свічок кандидат чекає підтвердження
+    // Правила (достатньо одного): noNewExtreme, closeInsideRange, oppositeDelta, minDistance, pocShift
+    rules: (process.env.CONFIRM_RULES || 'noNewExtreme')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+    minDistancePct: parseFloat(process.env.CONFIRM_MIN_DISTANCE_PCT) || 0.1, // % від sweepPrice для minDistance
+  },
+
+  score: {
+    // Ваги компонентів confidence score (нормуються до 100)
+    weights: parseWeights(
+      process.env.SCORE_WEIGHTS || 'delta:25,volume:20,levels:20,pocDistance:10,wick:15,imbalance:10,equalLevels:10'
+    ),
+    silentThreshold: parseFloat(process.env.SCORE_SILENT_THRESHOLD) || 35,               // нижче — кандидата немає
+    alertThreshold: parseFloat(process.env.SCORE_ALERT_THRESHOLD) || 50,                 // нижче — лише лог
+    highPriorityThreshold: parseFloat(process.env.SCORE_HIGH_PRIORITY_THRESHOLD) || 75,  // алерт з високим пріоритетом
   },
 
   footprint: {
     priceClusterSize: parseFloat(process.env.PRICE_CLUSTER_SIZE) || 0.5,
+    retainMinutes: parseInt(process.env.FOOTPRINT_RETAIN_MINUTES) || 2, // скільки тримати закриту хвилину для пізніх угод
+    valueAreaPct: parseFloat(process.env.FOOTPRINT_VALUE_AREA_PCT) || 70,          // % обʼєму у value area
+    imbalanceRatio: parseFloat(process.env.FOOTPRINT_IMBALANCE_RATIO) || 3,        // діагональний дисбаланс ×3
+    stackedImbalanceMin: parseInt(process.env.FOOTPRINT_STACKED_IMBALANCE_MIN) || 3, // рівнів поспіль для stacked зони
+  },
+
+  gaps: {
+    restRecovery: process.env.GAP_REST_RECOVERY === 'true',                   // довантажувати розриви через REST
+    maxRecoveryTrades: parseInt(process.env.GAP_MAX_RECOVERY_TRADES) || 20_000, // більші розриви не довантажуємо
+  },
+
+  equalLevels: {
+    // Допуск для equal highs/lows: абсолютний (в ціні) або, якщо 0, — частка ATR
+    tolerance: parseFloat(process.env.EQUAL_LEVELS_TOLERANCE) || 0,
+    atrMultiplier: parseFloat(process.env.EQUAL_LEVELS_ATR_MULTIPLIER) || 0.1,
+    atrPeriod: parseInt(process.env.EQUAL_LEVELS_ATR_PERIOD) || 14, // ATR наймолодшого таймфрейму
+    minLevels: parseInt(process.env.EQUAL_LEVELS_MIN) || 2,          // рівнів у кластері
+    // favour — лише компонент score (equalLevels), require — кандидат тільки зі зняттям кластеру
+    mode: process.env.EQUAL_LEVELS_MODE === 'require' ? 'require' : 'favour',
+  },
+
+  keyLevels: {
+    enabled: process.env.KEY_LEVELS_ENABLED !== 'false',
+    // Сесії в UTC: назва=HH:MM-HH:MM через кому (може переходити через північ)
+    sessions: parseSessions(process.env.SESSIONS || 'Asia=00:00-08:00,London=07:00-16:00,NewYork=13:30-20:00'),
+    // Вага зняття рівня за типом: day — PDH/PDL, week — PWH/PWL, session — High/Low сесій
+    weights: parseWeights(process.env.KEY_LEVEL_WEIGHTS || 'day:2,week:3,session:1'),
+  },
+
+  timeframes: {
+    // Старші таймфрейми, що збираються з 1m: TIMEFRAMES=5m,15m,1h,4h
+    list: (process.env.TIMEFRAMES || '15m')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean),
+    // Вага зняття свінга кожного таймфрейму: TIMEFRAME_WEIGHTS=5m:0.5,15m:1,1h:2,4h:3
+    weights: parseWeights(process.env.TIMEFRAME_WEIGHTS || '5m:0.5,15m:1,1h:2,4h:3'),
   },
 
   swing: {
     lookback: parseInt(process.env.SWING_LOOKBACK) || 2,
-    historySize: 50,   // зберігаємо останні 50 15m свічок
+    historySize: 50,   // зберігаємо останні 50 свічок кожного таймфрейму
     maxPoolSize: 8,    // зберігаємо до 8 останніх підтверджених свінгів
+    maxAgeCandles: parseInt(process.env.SWING_MAX_AGE_CANDLES) || 96, // вік рівня у свічках його таймфрейму
     minLevelsSwept: parseInt(process.env.MIN_LEVELS_SWEPT) || 2, // мінімум рівнів для валідного sweep
   },
 
+  outcome: {
+    horizonMinutes: parseInt(process.env.OUTCOME_HORIZON_MINUTES) || 60,          // скільки 1m свічок відстежуємо
+    rTargets: (process.env.OUTCOME_R_TARGETS || '1,2,3').split(',').map(Number),   // цілі в R
+    stopBufferPct: parseFloat(process.env.OUTCOME_STOP_BUFFER_PCT) || 0.02,       // стоп = sweepPrice ± 0.02%
+    file: process.env.OUTCOME_FILE || 'results/signal-outcomes.ndjson',
+    dailySummary: process.env.OUTCOME_DAILY_SUMMARY !== 'false',
+  },
+
+  // Машиночитні події сигналів (utils/signalSchema)
+  signals: {
+    journalFile: process.env.SIGNAL_JOURNAL_FILE || 'results/signals.ndjson',
+    socket: process.env.SIGNAL_SOCKET || '',           // /tmp/absorption-signals.sock або 127.0.0.1:9100
+    webhookUrl: process.env.SIGNAL_WEBHOOK_URL || '',
+    timeoutMs: parseInt(process.env.SIGNAL_WEBHOOK_TIMEOUT_MS) || 5_000,
+  },
+
   websocket: {
     reconnectDelayMs: parseInt(process.env.WS_RECONNECT_DELAY_MS) || 3_000,
     maxReconnectAttempts: parseInt(process.env.WS_MAX_RECONNECT_ATTEMPTS) || 10,
+    // Після maxReconnectAttempts швидких спроб — повтор з цим інтервалом, без ліміту
+    slowReconnectIntervalMs: parseInt(process.env.WS_SLOW_RECONNECT_INTERVAL_MS) || 120_000,
     pingIntervalMs: 20_000,
+    // Watchdog: pong не прийшов за pongTimeoutMs або потік мовчить довше maxSilenceMs
+    // при відкритому сокеті → примусове перепідключення
+    pongTimeoutMs: parseInt(process.env.WS_PONG_TIMEOUT_MS) || 10_000,
+    maxSilenceMs: parseInt(process.env.WS_MAX_SILENCE_MS) || 30_000,
+  },
+
+  // Здоровʼя даних: поки потоки недостовірні, сигнали заблоковано
+  health: {
+    // Допустима різниця затримок (час отримання − час події E) kline і aggTrade
+    maxClockSkewMs: parseInt(process.env.HEALTH_MAX_CLOCK_SKEW_MS) || 5_000,
+    // Розбіжність тримається довше — відсталий потік примусово перепідключається
+    skewResyncMs: parseInt(process.env.HEALTH_SKEW_RESYNC_MS) || 30_000,
+    checkIntervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 5_000,
+  },
+
+  recorder: {
+    enabled: process.env.RECORDER_ENABLED === 'true',
+    dir: process.env.RECORDER_DIR || 'data/recordings',
+    maxFileSizeMb: parseFloat(process.env.RECORDER_MAX_FILE_MB) || 100,    // ротація файлу (нестиснений обсяг)
+    retentionDays: parseInt(process.env.RECORDER_RETENTION_DAYS) || 14,
+    maxTotalSizeMb: parseFloat(process.env.RECORDER_MAX_TOTAL_MB) || 5_000, // ліміт архіву на диску
+  },
+
+  state: {
+    enabled: process.env.STATE_PERSIST !== 'false',
+    file: process.env.STATE_FILE || 'data/state.json',
+    intervalMs: parseInt(process.env.STATE_SAVE_INTERVAL_MS) || 60_000,
+    maxAgeMinutes: parseInt(process.env.STATE_MAX_AGE_MINUTES) || 60, // старіший знімок ігнорується
+  },
+
+  // Опційний HTTP API і дашборд (services/HttpServer)
+  http: {
+    enabled: process.env.HTTP_ENABLED === 'true',
+    host: process.env.HTTP_HOST || '127.0.0.1',
+    port: parseInt(process.env.HTTP_PORT) || 8080,
+    footprintIntervalMs: parseInt(process.env.HTTP_FOOTPRINT_INTERVAL_MS) || 1_000, // SSE оновлення поточного footprint
+    recentSignals: parseInt(process.env.HTTP_RECENT_SIGNALS) || 50,
+  },
+
+  replay: {
+    outFile: process.env.REPLAY_OUT_FILE || 'results/replay-signals.ndjson',
   },
 
   logging: {
@@ -48,18 +232,132 @@ const config = {
   },
 };
 
+/**
+ * Парсить ваги виду "15m:1,1h:2" або "delta:25,volume:20"
+ * @param {string} text
+ * @returns {Object<string, number>}
+ */
+function parseWeights(text) {
+  return Object.fromEntries(
+    text.split(',')
+      .map(pair => pair.split(':').map(s => s.trim()))
+      .filter(([tf, weight]) => tf && !Number.isNaN(parseFloat(weight)))
+      .map(([tf, weight]) => [tf, parseFloat(weight)])
+  );
+}
+
+/**
+ * Парсить сесії виду "Asia=00:00-08:00,London=07:00-16:00"
+ * @param {string} text
+ * @returns {{ name: string, start: number, end: number }[]} start/end — хвилини від 00:00 UTC
+ */
+function parseSessions(text) {
+  const toMinutes = (hhmm) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  };
+
+  return text.split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, range = ''] = entry.split('=').map(s => s.trim());
+      const [start, end] = range.split('-').map(s => toMinutes(s.trim()));
+      return { name, start, end };
+    });
+}
+
+/**
+ * Фільтр каналу алертів з .env: <PREFIX>_DIRECTIONS (за замовчуванням обидва) і <PREFIX>_MIN_SCORE
+ * @param {string} prefix - напр. DISCORD
+ * @returns {{ directions: string[], minScore: number }}
+ */
+function channelFilter(prefix) {
+  return {
+    directions: (process.env[`${prefix}_DIRECTIONS`] || 'SHORT,LONG')
+      .split(',')
+      .map(s => s.trim().toUpperCase())
+      .filter(Boolean),
+    minScore: parseFloat(process.env[`${prefix}_MIN_SCORE`]) || 0,
+  };
+}
+
+/**
+ * Налаштування окремого символу: глобальні дефолти + перевизначення з .env
+ * з префіксом символу (напр. ETHUSDT_PRICE_CLUSTER_SIZE=0.05).
+ * @param {string} symbol - у нижньому регістрі
+ */
+function buildSymbolSettings(symbol) {
+  const env = (key) => process.env[`${symbol.toUpperCase()}_${key}`];
+
+  return {
+    symbol,
+    priceClusterSize: parseFloat(env('PRICE_CLUSTER_SIZE')) || config.footprint.priceClusterSize,
+    deltaMultiplier:  parseFloat(env('DELTA_MULTIPLIER'))   || config.alert.deltaMultiplier,
+    volumeMultiplier: parseFloat(env('VOLUME_MULTIPLIER'))  || config.alert.volumeMultiplier,
+    minLevelsSwept:   parseInt(env('MIN_LEVELS_SWEPT'))     || config.swing.minLevelsSwept,
+  };
+}
+
+// Map<symbol, settings> — кожен символ має власний набір двигунів і детекторів
+config.symbolSettings = Object.fromEntries(
+  config.binance.symbols.map(symbol => [symbol, buildSymbolSettings(symbol)])
+);
+
 /**
  * Валідація обовʼязкових змінних середовища
  */
 function validateConfig() {
   const errors = [];
 
-  if (!config.telegram.botToken) {
+  const channels = config.channels.enabled;
+  const usesTelegram = channels.includes('telegram') || config.telegram.commandsEnabled;
+
+  if (usesTelegram && !config.telegram.botToken) {
     errors.push('TELEGRAM_BOT_TOKEN не задано у .env');
   }
-  if (!config.telegram.chatId) {
+  if (usesTelegram && !config.telegram.chatId) {
     errors.push('TELEGRAM_CHAT_ID не задано у .env');
   }
+  if (config.telegram.commandsEnabled && !channels.includes('telegram')) {
+    errors.push('TELEGRAM_COMMANDS_ENABLED потребує telegram у ALERT_CHANNELS');
+  }
+  if (channels.length === 0) {
+    errors.push('ALERT_CHANNELS не містить жодного каналу');
+  }
+  const channelNames = ['telegram', 'discord', 'slack', 'webhook', 'console'];
+  const channelUrls = { discord: 'DISCORD_WEBHOOK_URL', slack: 'SLACK_WEBHOOK_URL', webhook: 'WEBHOOK_URL' };
+  for (const name of channels) {
+    if (!channelNames.includes(name)) {
+      errors.push(`ALERT_CHANNELS: невідомий канал "${name}" (${channelNames.join(', ')})`);
+      continue;
+    }
+    const settings = config.channels[name];
+    if (channelUrls[name] && !settings.webhookUrl && !settings.url) {
+      errors.push(`${channelUrls[name]} не задано для каналу ${name}`);
+    }
+    if (settings.directions.some(d => d !== 'SHORT' && d !== 'LONG')) {
+      errors.push(`${name.toUpperCase()}_DIRECTIONS: очікується SHORT, LONG або SHORT,LONG`);
+    }
+  }
+  if (config.binance.symbols.length === 0) {
+    errors.push('SYMBOLS не містить жодного символу');
+  }
+  for (const tf of config.timeframes.list) {
+    const ms = timeframeToMs(tf);
+    if (!ms || ms <= 60_000) {
+      errors.push(`TIMEFRAMES: некоректний таймфрейм "${tf}" (очікується 5m, 15m, 1h, 4h…)`);
+    }
+  }
+  for (const session of config.keyLevels.sessions) {
+    const valid = (m) => Number.isInteger(m) && m >= 0 && m < 24 * 60;
+    if (!session.name || !valid(session.start) || !valid(session.end) || session.start === session.end) {
+      errors.push(`SESSIONS: некоректна сесія "${session.name}" (очікується Назва=HH:MM-HH:MM)`);
+    }
+  }
+  if (config.timeframes.list.length === 0) {
+    errors.push('TIMEFRAMES не містить жодного таймфрейму');
+  }
 
   if (errors.length > 0) {
     throw new Error(`Помилки конфігурації:\n${errors.join('\n')}`);
@@ -3,14 +3,21 @@
  *
  * Логіка абсорбції з перевіркою ПУЛУ ліквідності.
  *
- * Тепер вимагаємо що свічка пробила МІНІМУМ minLevelsSwept рівнів —
- * тобто знялась ліквідність з кількох swing точок одночасно.
- * Це фільтрує слабкі локальні sweep одного рівня.
+ * Кандидат оцінюється confidence score (0–100) із зважених компонентів:
+ * delta і volume відносно середніх, вага знятих рівнів пулу (свінг старшого
+ * таймфрейму важить більше, див. config.timeframes.weights), відстань close
+ * від POC, тінь у бік sweep і наявність дисбалансів. Пороги settings
+ * (deltaMultiplier, volumeMultiplier, minLevelsSwept) задають масштаб
+ * компонентів, а не жорсткі умови.
+ *
+ * Рівні (config.score): < silentThreshold — не кандидат, < alertThreshold —
+ * лише лог, ≥ highPriorityThreshold — алерт з високим пріоритетом.
  */
 
 const { config } = require('../config');
 const RollingStats = require('../utils/rollingStats');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
 const PendingState = {
   NONE:  'NONE',
@@ -18,13 +25,24 @@ const PendingState = {
   LONG:  'LONG_PENDING',
 };
 
+const candidatesTotal = metrics.counter(
+  'absorption_candidates_total',
+  'Кандидати патернів: created / confirmed / cancelled',
+  ['symbol', 'pattern', 'event'],
+);
+
 class AbsorptionDetector {
-  constructor() {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol]);
+   *   пороги читаються при кожній перевірці, тож їх можна змінювати на льоту
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.tag = `[AbsorptionDetector ${settings.symbol.toUpperCase()}]`;
     this.stats = new RollingStats(config.alert.rollingWindow);
-    this.minLevelsSwept = config.swing.minLevelsSwept; // мін. рівнів для валідного sweep
 
     this.pending = this._emptyPending();
-    this.maxConfirmCandles = 2;
+    this.maxConfirmCandles = config.confirmation.windowCandles;
   }
 
   updateStats(totalVolume, delta) {
@@ -33,122 +51,128 @@ class AbsorptionDetector {
 
   /**
    * Перевіряє свічку на кандидата абсорбції.
+   * Замість жорстких умов рахує confidence score (0–100); кандидат зберігається,
+   * якщо score ≥ silentThreshold. Коли свічка зняла і хаї, і лої — береться
+   * напрямок з вищим score.
    *
    * @param {Object} candle
    * @param {Object} footprint
-   * @param {{ swept, count, highestSweptLevel, deepestLevel }} sweptLows  - від SwingDetector
-   * @param {{ swept, count, lowestSweptLevel, highestLevel }}  sweptHighs - від SwingDetector
+   * @param {{ swept, count, weight, timeframes, highestSweptLevel, deepestLevel }} sweptLows  - від SwingDetector
+   * @param {{ swept, count, weight, timeframes, lowestSweptLevel, highestLevel }}  sweptHighs - від SwingDetector
    * @returns {{ type: null }}  — завжди null тут (підтвердження через наступну свічку)
    */
   checkCandle(candle, footprint, sweptLows, sweptHighs) {
     if (!footprint || !this.stats.isReady) return { type: null };
 
-    const avgVol      = this.stats.avgVolume;
-    const avgAbsDelta = this.stats.avgAbsDelta;
+    // Пласке / порожнє вікно (нульові середні) — відносні delta і volume не визначені
+    if (!(this.stats.avgVolume > 0) || !(this.stats.avgAbsDelta > 0)) {
+      logger.debug(`${this.tag} Середні vol / |delta| нульові — score не рахується`);
+      return { type: null };
+    }
 
-    // ─── SHORT: свічка пробила кілька swing highs ──────────────────────────
-    if (sweptHighs.count >= this.minLevelsSwept) {
-      const deltaSpike   = footprint.delta > avgAbsDelta * config.alert.deltaMultiplier;
-      const volSpike     = footprint.totalVolume > avgVol * config.alert.volumeMultiplier;
-      const closeBelowPOC = candle.close < footprint.poc;
+    // mode=require: рахуються лише sweep, що зняли кластер equal highs/lows
+    const eligible = (swept) =>
+      swept.count > 0 && (config.equalLevels.mode !== 'require' || swept.equalClusters.length > 0);
 
-      logger.debug(
-        `[AbsorptionDetector] SHORT кандидат: swept=${sweptHighs.count} хаїв, ` +
-        `delta=${footprint.delta.toFixed(2)} (потрібно >${(avgAbsDelta * config.alert.deltaMultiplier).toFixed(2)}), ` +
-        `vol=${footprint.totalVolume.toFixed(2)} (потрібно >${(avgVol * config.alert.volumeMultiplier).toFixed(2)}), ` +
-        `closeBelowPOC=${closeBelowPOC}`
-      );
+    const candidates = [];
+    if (eligible(sweptHighs)) candidates.push(this._score('SHORT', candle, footprint, sweptHighs));
+    if (eligible(sweptLows))  candidates.push(this._score('LONG', candle, footprint, sweptLows));
+    if (candidates.length === 0) return { type: null };
 
-      if (deltaSpike && volSpike && closeBelowPOC) {
-        logger.info(
-          `[AbsorptionDetector] 🟡 SHORT кандидат: знято ${sweptHighs.count} рівнів хаїв ` +
-          `[${sweptHighs.swept.map(s => s.price).join(', ')}]`
-        );
-        this.pending = {
-          state:       PendingState.SHORT,
-          candle,
-          footprint,
-          sweptHighs,
-          sweptLows:   null,
-          sweepPrice:  candle.high,
-          confirmCount: 0,
-        };
-        return { type: null };
-      }
-    }
+    const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+    const swept = best.type === 'SHORT' ? sweptHighs : sweptLows;
 
-    // ─── LONG: свічка пробила кілька swing lows ────────────────────────────
-    if (sweptLows.count >= this.minLevelsSwept) {
-      const deltaSpike    = footprint.delta < -(avgAbsDelta * config.alert.deltaMultiplier);
-      const volSpike      = footprint.totalVolume > avgVol * config.alert.volumeMultiplier;
-      const closeAbovePOC = candle.close > footprint.poc;
-
-      logger.debug(
-        `[AbsorptionDetector] LONG кандидат: swept=${sweptLows.count} лоїв, ` +
-        `delta=${footprint.delta.toFixed(2)} (потрібно <${-(avgAbsDelta * config.alert.deltaMultiplier).toFixed(2)}), ` +
-        `vol=${footprint.totalVolume.toFixed(2)} (потрібно >${(avgVol * config.alert.volumeMultiplier).toFixed(2)}), ` +
-        `closeAbovePOC=${closeAbovePOC}`
-      );
+    logger.debug(
+      `${this.tag} ${best.type} кандидат: swept=${swept.count} (вага ${swept.weight}), ` +
+      `delta=${footprint.delta.toFixed(2)}, vol=${footprint.totalVolume.toFixed(2)}, ` +
+      `score=${best.score} [${this._formatComponents(best.components)}]`
+    );
 
-      if (deltaSpike && volSpike && closeAbovePOC) {
-        logger.info(
-          `[AbsorptionDetector] 🟡 LONG кандидат: знято ${sweptLows.count} рівнів лоїв ` +
-          `[${sweptLows.swept.map(s => s.price).join(', ')}]`
-        );
-        this.pending = {
-          state:       PendingState.LONG,
-          candle,
-          footprint,
-          sweptLows,
-          sweptHighs:  null,
-          sweepPrice:  candle.low,
-          confirmCount: 0,
-        };
-        return { type: null };
-      }
-    }
+    if (best.score < config.score.silentThreshold) return { type: null };
+
+    logger.info(
+      `${this.tag} 🟡 ${best.type} кандидат (score ${best.score}, ${best.tier}): ` +
+      `знято ${swept.count} рівнів ${best.type === 'SHORT' ? 'хаїв' : 'лоїв'} ` +
+      `[${swept.swept.map(s => s.price).join(', ')}]`
+    );
 
+    const isShort = best.type === 'SHORT';
+    // Новий кандидат витісняє попереднього, ще не підтвердженого
+    this.cancelPending(`замінено новим sweep ${best.type} ${isShort ? candle.high : candle.low}`);
+    this._countCandidate('created');
+    this.pending = {
+      state:        isShort ? PendingState.SHORT : PendingState.LONG,
+      candle,
+      footprint,
+      sweptHighs:   isShort ? sweptHighs : null,
+      sweptLows:    isShort ? null : sweptLows,
+      sweepPrice:   isShort ? candle.high : candle.low,
+      confirmCount: 0,
+      score:        best,
+    };
     return { type: null };
   }
 
   /**
-   * Перевіряє підтвердження наступною свічкою.
+   * Перевіряє підтвердження свічкою після кандидата.
+   *
+   * Новий екстремум за sweepPrice скасовує кандидата одразу. Інакше кандидат
+   * підтверджується, щойно виконано хоча б одне з config.confirmation.rules,
+   * або скасовується після windowCandles свічок без підтвердження.
+   *
+   * @param {Object} candle
+   * @param {Object|null} footprint - footprint свічки (null/неповний — свічка не підтверджує, але рахується у вікно)
    */
   checkConfirmation(candle, footprint) {
     if (this.pending.state === PendingState.NONE) return { type: null };
 
     this.pending.confirmCount++;
+    const type = this.pending.state === PendingState.SHORT ? 'SHORT' : 'LONG';
 
-    // ─── SHORT підтвердження ──────────────────────────────────────────────
-    if (this.pending.state === PendingState.SHORT) {
-      if (candle.high > this.pending.sweepPrice) {
-        logger.info(`[AbsorptionDetector] SHORT скасовано: нове HH ${candle.high}`);
-        this._clearPending();
-        return { type: null };
-      }
-      // Не оновив high → підтверджено
-      const result = this._buildResult('SHORT');
+    // ─── Продовження руху — скасування ───────────────────────────────────
+    const newExtreme = type === 'SHORT'
+      ? candle.high > this.pending.sweepPrice
+      : candle.low < this.pending.sweepPrice;
+    if (newExtreme) {
+      logger.info(
+        `${this.tag} ${type} скасовано: ${type === 'SHORT' ? `нове HH ${candle.high}` : `нове LL ${candle.low}`} ` +
+        `за sweep ${this.pending.sweepPrice}`
+      );
+      this._countCandidate('cancelled');
       this._clearPending();
-      return result;
+      return { type: null };
     }
 
-    // ─── LONG підтвердження ───────────────────────────────────────────────
-    if (this.pending.state === PendingState.LONG) {
-      if (candle.low < this.pending.sweepPrice) {
-        logger.info(`[AbsorptionDetector] LONG скасовано: нове LL ${candle.low}`);
-        this._clearPending();
-        return { type: null };
-      }
-      const result = this._buildResult('LONG');
+    // ─── Правила підтвердження ───────────────────────────────────────────
+    // Неповний footprint: свічка не підтверджує, але у вікно рахується
+    const complete = footprint && !footprint.incomplete;
+    if (!complete) {
+      logger.warn(`${this.tag} ${type} footprint свічки ${new Date(candle.openTime).toISOString()} неповний — підтвердження пропущено`);
+    }
+    const confirmedBy = complete ? this._confirmedRules(type, candle, footprint) : [];
+    if (confirmedBy.length > 0) {
+      logger.info(
+        `${this.tag} ${type} підтверджено на ${this.pending.confirmCount}-й свічці: ${confirmedBy.join(', ')}`
+      );
+      this._countCandidate('confirmed');
+      const result = this._buildResult(type);
+      result.data.confirmedBy = confirmedBy;
+      result.data.confirmCandles = this.pending.confirmCount;
       this._clearPending();
       return result;
     }
 
     if (this.pending.confirmCount >= this.maxConfirmCandles) {
-      logger.info(`[AbsorptionDetector] Кандидат скасовано: вичерпано ліміт свічок`);
+      logger.info(
+        `${this.tag} ${type} скасовано: вичерпано вікно ${this.maxConfirmCandles} свічок ` +
+        `без підтвердження (${config.confirmation.rules.join(', ')})`
+      );
+      this._countCandidate('cancelled');
       this._clearPending();
+      return { type: null };
     }
 
+    logger.debug(`${this.tag} ${type} чекає підтвердження: ${this.pending.confirmCount}/${this.maxConfirmCandles}`);
     return { type: null };
   }
 
@@ -156,8 +180,124 @@ class AbsorptionDetector {
     return this.pending.state !== PendingState.NONE;
   }
 
+  /**
+   * Скасовує кандидата з причиною в лозі: заміна новим sweep, недостовірні дані потоків
+   * @param {string} reason - для логу
+   */
+  cancelPending(reason) {
+    if (!this.hasPending()) return;
+    const type = this.pending.state === PendingState.SHORT ? 'SHORT' : 'LONG';
+    logger.info(`${this.tag} ${type} скасовано: ${reason}`);
+    this._countCandidate('cancelled');
+    this._clearPending();
+  }
+
   // ─── Приватне ─────────────────────────────────────────────────────────────
 
+  /**
+   * Які з налаштованих правил підтвердження виконані цією свічкою:
+   *   noNewExtreme     — high (SHORT) / low (LONG) свічки не вийшов за sweepPrice
+   *   closeInsideRange — close повернувся за знятий рівень (нижче найнижчого знятого хаю / вище найвищого лою)
+   *   oppositeDelta    — delta свічки протилежна агресору (від'ємна для SHORT, додатна для LONG)
+   *   minDistance      — close відійшов від sweepPrice щонайменше на minDistancePct %
+   *   pocShift         — POC зсунувся від sweep відносно POC свічки-кандидата
+   * @returns {string[]} назви виконаних правил
+   */
+  _confirmedRules(type, candle, footprint) {
+    const p = this.pending;
+    const isShort = type === 'SHORT';
+    const usable = footprint && !footprint.incomplete;
+    const minDistance = p.sweepPrice * config.confirmation.minDistancePct / 100;
+
+    const checks = {
+      noNewExtreme:     () => (isShort ? candle.high <= p.sweepPrice : candle.low >= p.sweepPrice),
+      closeInsideRange: () => (isShort
+        ? candle.close < p.sweptHighs.lowestSweptLevel
+        : candle.close > p.sweptLows.highestSweptLevel),
+      oppositeDelta:    () => usable && (isShort ? footprint.delta < 0 : footprint.delta > 0),
+      minDistance:      () => (isShort
+        ? p.sweepPrice - candle.close >= minDistance
+        : candle.close - p.sweepPrice >= minDistance),
+      pocShift:         () => usable && (isShort ? footprint.poc < p.footprint.poc : footprint.poc > p.footprint.poc),
+    };
+
+    return config.confirmation.rules.filter(rule => {
+      if (!checks[rule]) {
+        logger.warn(`${this.tag} Невідоме правило підтвердження: ${rule}`);
+        return false;
+      }
+      return checks[rule]();
+    });
+  }
+
+  /**
+   * Confidence score кандидата. Кожен компонент нормовано до 0…1:
+   *   delta / volume / levels — відношення до порогів settings (поріг = 0.7, 1.0 з ~1.43× порогу)
+   *   pocDistance — наскільки close за POC у бік розвороту (частка діапазону свічки, 1.0 з 50%)
+   *   wick        — тінь у бік sweep (частка діапазону, 1.0 з 50%)
+   *   imbalance   — stacked дисбаланс агресора = 1, одиночний = 0.5
+   *   equalLevels — знято кластер equal highs/lows = 1
+   * Score = зважена сума компонентів (config.score.weights), 0–100.
+   *
+   * @param {'SHORT'|'LONG'} type
+   * @returns {{ type, score: number, tier: 'silent'|'alert'|'high', components: Object }}
+   */
+  _score(type, candle, footprint, swept) {
+    const isShort = type === 'SHORT';
+    const clamp = v => Math.max(0, Math.min(1, v));
+    const ratio = (value, threshold) => clamp((value / threshold) * 0.7);
+    const relative = (value, avg) => (avg > 0 ? value / avg : 0);
+    const range = candle.high - candle.low;
+
+    // Агресор, якого поглинули: покупці для SHORT, продавці для LONG
+    const directionalDelta = isShort ? footprint.delta : -footprint.delta;
+    const pocDistance = isShort ? footprint.poc - candle.close : candle.close - footprint.poc;
+    const wick = isShort
+      ? candle.high - Math.max(candle.open, candle.close)
+      : Math.min(candle.open, candle.close) - candle.low;
+
+    const aggressor = isShort ? 'buy' : 'sell';
+    const stacked = (footprint.stackedImbalances || []).some(z => z.side === aggressor);
+    const single = footprint.imbalances ? footprint.imbalances[aggressor].length > 0 : false;
+
+    const components = {
+      delta:       ratio(relative(directionalDelta, this.stats.avgAbsDelta), this.settings.deltaMultiplier),
+      volume:      ratio(relative(footprint.totalVolume, this.stats.avgVolume), this.settings.volumeMultiplier),
+      levels:      ratio(swept.weight, this.settings.minLevelsSwept),
+      pocDistance: range > 0 ? clamp(pocDistance / range / 0.5) : 0,
+      wick:        range > 0 ? clamp(wick / range / 0.5) : 0,
+      imbalance:   stacked ? 1 : (single ? 0.5 : 0),
+      equalLevels: swept.equalClusters.length > 0 ? 1 : 0,
+    };
+
+    const weights = config.score.weights;
+    let total = 0;
+    let sum = 0;
+    for (const [name, value] of Object.entries(components)) {
+      const weight = weights[name] ?? 0;
+      total += weight;
+      sum += weight * value;
+      components[name] = Math.round(value * 100) / 100;
+    }
+    const score = total > 0 ? Math.round((sum / total) * 100) : 0;
+
+    return { type, score, tier: this._tier(score), components };
+  }
+
+  /**
+   * @param {number} score
+   * @returns {'silent'|'alert'|'high'}
+   */
+  _tier(score) {
+    if (score >= config.score.highPriorityThreshold) return 'high';
+    if (score >= config.score.alertThreshold) return 'alert';
+    return 'silent';
+  }
+
+  _formatComponents(components) {
+    return Object.entries(components).map(([k, v]) => `${k}=${v.toFixed(2)}`).join(', ');
+  }
+
   _buildResult(type) {
     const p = this.pending;
     const sweptInfo = type === 'SHORT' ? p.sweptHighs : p.sweptLows;
@@ -165,9 +305,17 @@ class AbsorptionDetector {
     return {
       type,
       data: {
+        symbol:         this.settings.symbol.toUpperCase(),
         // Пул рівнів що були swept
         sweptLevels:    sweptInfo.swept.map(s => s.price).sort((a, b) => a - b),
         sweptCount:     sweptInfo.count,
+        sweptWeight:    sweptInfo.weight,
+        // Скільки рівнів кожного таймфрейму знято: { '1h': 1, '15m': 2 }
+        sweptTimeframes: sweptInfo.timeframes,
+        // Назви знятих ключових рівнів: ['PDH', 'London High']
+        keyLevels:      sweptInfo.keyLevels,
+        // Повністю зняті кластери equal highs/lows
+        equalClusters:  sweptInfo.equalClusters.map(({ price, from, to, count }) => ({ price, from, to, count })),
         // Найвищий swept рівень (для SHORT) або найнижчий (для LONG)
         swingLevel: type === 'SHORT'
           ? sweptInfo.highestLevel
@@ -178,6 +326,18 @@ class AbsorptionDetector {
         avgVolume:      this.stats.avgVolume,
         avgAbsDelta:    this.stats.avgAbsDelta,
         poc:            p.footprint.poc,
+        // Confidence score і рівень: 'silent' — лише лог, 'alert', 'high' — високий пріоритет
+        score:           p.score.score,
+        tier:            p.score.tier,
+        scoreComponents: p.score.components,
+        // Аналітика footprint свічки-кандидата
+        valueAreaHigh:     p.footprint.valueAreaHigh,
+        valueAreaLow:      p.footprint.valueAreaLow,
+        stackedImbalances: p.footprint.stackedImbalances,
+        // Незавершений аукціон на екстремумі sweep — рівень може бути перевірено ще раз
+        unfinishedAuction: type === 'SHORT'
+          ? p.footprint.unfinishedAuction.high
+          : p.footprint.unfinishedAuction.low,
         candleClose:    p.candle.close,
         volumeMultiple: (p.footprint.totalVolume / this.stats.avgVolume).toFixed(2),
         deltaMultiple:  (Math.abs(p.footprint.delta) / this.stats.avgAbsDelta).toFixed(2),
@@ -194,6 +354,10 @@ class AbsorptionDetector {
     this.pending = this._emptyPending();
   }
 
+  _countCandidate(event) {
+    candidatesTotal.inc({ symbol: this.settings.symbol.toUpperCase(), pattern: 'absorption', event });
+  }
+
   _emptyPending() {
     return {
       state:        PendingState.NONE,
@@ -203,6 +367,7 @@ class AbsorptionDetector {
       sweptHighs:   null,
       sweepPrice:   null,
       confirmCount: 0,
+      score:        null,
     };
   }
 }
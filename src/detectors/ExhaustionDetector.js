@@ -0,0 +1,255 @@
+/**
+ * detectors/ExhaustionDetector.js
+ *
+ * Виснаження (exhaustion): рух доходить до рівнів пулу ліквідності, але
+ * "палива" вже немає — обʼєм падає нижче exhaustionVolumeDropRatio від
+ * середнього, а |delta| нормалізується нижче exhaustionDeltaNormalizeRatio.
+ * На відміну від абсорбції, агресора тут ніхто не поглинає — він просто
+ * закінчується.
+ *
+ * Підтвердження: наступні свічки не оновлюють екстремум і закриваються
+ * назад за close свічки виснаження (не більше config.alert.exhaustionConfirmCandles свічок).
+ *
+ * config.equalLevels.mode=require діє і тут: рахуються лише sweep, що зняли
+ * кластер equal highs/lows.
+ */
+
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const PendingState = {
+  NONE:  'NONE',
+  SHORT: 'SHORT_PENDING',
+  LONG:  'LONG_PENDING',
+};
+
+const candidatesTotal = metrics.counter(
+  'absorption_candidates_total',
+  'Кандидати патернів: created / confirmed / cancelled',
+  ['symbol', 'pattern', 'event'],
+);
+
+class ExhaustionDetector {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   * @param {import('../utils/rollingStats')} stats - спільна з AbsorptionDetector ковзна статистика
+   */
+  constructor(settings, stats) {
+    this.settings = settings;
+    this.tag = `[ExhaustionDetector ${settings.symbol.toUpperCase()}]`;
+    this.stats = stats;
+
+    this.pending = this._emptyPending();
+    this.maxConfirmCandles = config.alert.exhaustionConfirmCandles;
+  }
+
+  /**
+   * Перевіряє свічку на кандидата виснаження.
+   *
+   * @param {Object} candle
+   * @param {Object} footprint
+   * @param {{ swept, count, weight, timeframes, highestSweptLevel, deepestLevel }} sweptLows  - від SwingDetector
+   * @param {{ swept, count, weight, timeframes, lowestSweptLevel, highestLevel }}  sweptHighs - від SwingDetector
+   * @returns {{ type: null }} — підтвердження через наступні свічки
+   */
+  checkCandle(candle, footprint, sweptLows, sweptHighs) {
+    if (!footprint || !this.stats.isReady) return { type: null };
+
+    const { exhaustionVolumeDropRatio, exhaustionDeltaNormalizeRatio } = config.alert;
+    const maxVolume   = this.stats.avgVolume * exhaustionVolumeDropRatio;
+    const maxAbsDelta = this.stats.avgAbsDelta * exhaustionDeltaNormalizeRatio;
+
+    const volumeDrop      = footprint.totalVolume < maxVolume;
+    const deltaNormalized = Math.abs(footprint.delta) < maxAbsDelta;
+
+    const eligible = (swept) =>
+      swept.count > 0 && (config.equalLevels.mode !== 'require' || swept.equalClusters.length > 0);
+
+    // ─── SHORT: рух вгору в пул хаїв без обʼєму ───────────────────────────
+    if (eligible(sweptHighs)) {
+      logger.debug(
+        `${this.tag} SHORT кандидат: swept=${sweptHighs.count} хаїв, ` +
+        `vol=${footprint.totalVolume.toFixed(2)} (потрібно <${maxVolume.toFixed(2)}), ` +
+        `|delta|=${Math.abs(footprint.delta).toFixed(2)} (потрібно <${maxAbsDelta.toFixed(2)})`
+      );
+
+      if (volumeDrop && deltaNormalized) {
+        logger.info(
+          `${this.tag} 🟠 SHORT виснаження: ${sweptHighs.count} рівнів хаїв ` +
+          `[${sweptHighs.swept.map(s => s.price).join(', ')}]`
+        );
+        // Новий кандидат витісняє попереднього, ще не підтвердженого
+        this.cancelPending(`замінено новим sweep SHORT ${candle.high}`);
+        this._countCandidate('created');
+        this.pending = {
+          state:        PendingState.SHORT,
+          candle,
+          footprint,
+          sweptHighs,
+          sweptLows:    null,
+          sweepPrice:   candle.high,
+          confirmCount: 0,
+        };
+        return { type: null };
+      }
+    }
+
+    // ─── LONG: рух вниз у пул лоїв без обʼєму ─────────────────────────────
+    if (eligible(sweptLows)) {
+      logger.debug(
+        `${this.tag} LONG кандидат: swept=${sweptLows.count} лоїв, ` +
+        `vol=${footprint.totalVolume.toFixed(2)} (потрібно <${maxVolume.toFixed(2)}), ` +
+        `|delta|=${Math.abs(footprint.delta).toFixed(2)} (потрібно <${maxAbsDelta.toFixed(2)})`
+      );
+
+      if (volumeDrop && deltaNormalized) {
+        logger.info(
+          `${this.tag} 🟠 LONG виснаження: ${sweptLows.count} рівнів лоїв ` +
+          `[${sweptLows.swept.map(s => s.price).join(', ')}]`
+        );
+        // Новий кандидат витісняє попереднього, ще не підтвердженого
+        this.cancelPending(`замінено новим sweep LONG ${candle.low}`);
+        this._countCandidate('created');
+        this.pending = {
+          state:        PendingState.LONG,
+          candle,
+          footprint,
+          sweptLows,
+          sweptHighs:   null,
+          sweepPrice:   candle.low,
+          confirmCount: 0,
+        };
+        return { type: null };
+      }
+    }
+
+    return { type: null };
+  }
+
+  /**
+   * Перевіряє підтвердження наступною свічкою.
+   *
+   * @param {Object} candle
+   * @param {Object|null} footprint - footprint свічки (null/неповний — свічка не підтверджує, але рахується у вікно)
+   */
+  checkConfirmation(candle, footprint) {
+    if (this.pending.state === PendingState.NONE) return { type: null };
+
+    this.pending.confirmCount++;
+    const type = this.pending.state === PendingState.SHORT ? 'SHORT' : 'LONG';
+
+    // Рух продовжився — виснаження не було
+    const continued = type === 'SHORT'
+      ? candle.high > this.pending.sweepPrice
+      : candle.low < this.pending.sweepPrice;
+    if (continued) {
+      logger.info(`${this.tag} ${type} скасовано: новий екстремум ${type === 'SHORT' ? candle.high : candle.low}`);
+      this._countCandidate('cancelled');
+      this._clearPending();
+      return { type: null };
+    }
+
+    // Неповний footprint: свічка не підтверджує, але у вікно рахується
+    const complete = footprint && !footprint.incomplete;
+    if (!complete) {
+      logger.warn(`${this.tag} ${type} footprint свічки ${new Date(candle.openTime).toISOString()} неповний — підтвердження пропущено`);
+    }
+
+    // Ціна розвернулась за close свічки виснаження → підтверджено
+    const reversed = complete && (type === 'SHORT'
+      ? candle.close < this.pending.candle.close
+      : candle.close > this.pending.candle.close);
+    if (reversed) {
+      this._countCandidate('confirmed');
+      const result = this._buildResult(type);
+      this._clearPending();
+      return result;
+    }
+
+    if (this.pending.confirmCount >= this.maxConfirmCandles) {
+      logger.info(`${this.tag} ${type} скасовано: немає розвороту за ${this.maxConfirmCandles} свічки`);
+      this._countCandidate('cancelled');
+      this._clearPending();
+    }
+
+    return { type: null };
+  }
+
+  hasPending() {
+    return this.pending.state !== PendingState.NONE;
+  }
+
+  /**
+   * Скасовує кандидата з причиною в лозі: заміна новим sweep, недостовірні дані потоків
+   * @param {string} reason - для логу
+   */
+  cancelPending(reason) {
+    if (!this.hasPending()) return;
+    const type = this.pending.state === PendingState.SHORT ? 'SHORT' : 'LONG';
+    logger.info(`${this.tag} ${type} скасовано: ${reason}`);
+    this._countCandidate('cancelled');
+    this._clearPending();
+  }
+
+  // ─── Приватне ─────────────────────────────────────────────────────────────
+
+  _buildResult(type) {
+    const p = this.pending;
+    const sweptInfo = type === 'SHORT' ? p.sweptHighs : p.sweptLows;
+
+    return {
+      type,
+      data: {
+        symbol:         this.settings.symbol.toUpperCase(),
+        pattern:        'exhaustion',
+        sweptLevels:    sweptInfo.swept.map(s => s.price).sort((a, b) => a - b),
+        sweptCount:     sweptInfo.count,
+        sweptWeight:    sweptInfo.weight,
+        // Скільки рівнів кожного таймфрейму знято: { '1h': 1, '15m': 2 }
+        sweptTimeframes: sweptInfo.timeframes,
+        // Назви знятих ключових рівнів: ['PDH', 'London High']
+        keyLevels:      sweptInfo.keyLevels,
+        swingLevel: type === 'SHORT'
+          ? sweptInfo.highestLevel
+          : sweptInfo.highestSweptLevel,
+        sweepPrice:     p.sweepPrice,
+        delta:          p.footprint.delta,
+        totalVolume:    p.footprint.totalVolume,
+        avgVolume:      this.stats.avgVolume,
+        avgAbsDelta:    this.stats.avgAbsDelta,
+        poc:            p.footprint.poc,
+        candleClose:    p.candle.close,
+        volumeMultiple: (p.footprint.totalVolume / this.stats.avgVolume).toFixed(2),
+        deltaMultiple:  (Math.abs(p.footprint.delta) / this.stats.avgAbsDelta).toFixed(2),
+        candle:         p.candle,
+        footprint:      p.footprint,
+        // Для очищення пулу після алерту
+        sweptLowsInfo:  p.sweptLows,
+        sweptHighsInfo: p.sweptHighs,
+      },
+    };
+  }
+
+  _clearPending() {
+    this.pending = this._emptyPending();
+  }
+
+  _countCandidate(event) {
+    candidatesTotal.inc({ symbol: this.settings.symbol.toUpperCase(), pattern: 'exhaustion', event });
+  }
+
+  _emptyPending() {
+    return {
+      state:        PendingState.NONE,
+      candle:       null,
+      footprint:    null,
+      sweptLows:    null,
+      sweptHighs:   null,
+      sweepPrice:   null,
+      confirmCount: 0,
+    };
+  }
+}
+
+module.exports = ExhaustionDetector;
@@ -0,0 +1,213 @@
+/**
+ * detectors/KeyLevelDetector.js
+ *
+ * Ключові рівні ліквідності, окрім фрактальних свінгів:
+ *   PDH / PDL — high / low попередньої доби (UTC)
+ *   PWH / PWL — high / low попереднього тижня (з понеділка, UTC)
+ *   <Session> High / Low — діапазон останньої завершеної сесії
+ *     (Asia / London / NewYork, час UTC у config.keyLevels.sessions)
+ *
+ * Рахуються із закритих 1m свічок CandleBuilder. Рівень публікується лише
+ * для періоду, покритого даними з самого початку (неповний період дав би
+ * хибний high/low); добу і тиждень можна засіяти з REST (seed).
+ *
+ * Як і свінги, рівень зникає, коли 1m свічка закривається за ним.
+ */
+
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const LABELS = {
+  day:  { high: 'PDH', low: 'PDL' },
+  week: { high: 'PWH', low: 'PWL' },
+};
+
+class KeyLevelDetector {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   */
+  constructor(settings) {
+    this.tag = `[KeyLevelDetector ${settings.symbol.toUpperCase()}]`;
+    this.sessions = config.keyLevels.sessions;
+
+    // Поточні періоди: { [name]: { start, high, low, complete } }, name = day | week | назва сесії
+    this.running = {};
+
+    // start останнього опублікованого періоду кожного name — захист від повторної публікації
+    this.lastPublished = {};
+
+    // Активні рівні: { price, side, kind, name, label, time }
+    this.levels = [];
+  }
+
+  /**
+   * Оновлює рівні закритою 1m свічкою: спершу інвалідація рівнів, за якими
+   * свічка закрилась, потім трекінг періодів (завершений період → нові рівні).
+   * Викликається після перевірки sweep цієї свічки.
+   * @param {Object} candle - закрита 1m свічка
+   */
+  applyCandle(candle) {
+    this.levels = this.levels.filter((level) => {
+      const closedBeyond = level.side === 'high' ? candle.close > level.price : candle.close < level.price;
+      if (closedBeyond) {
+        logger.info(`${this.tag} ❎ ${level.label} ${level.price}: close ${candle.close} за рівнем — видалено`);
+      }
+      return !closedBeyond;
+    });
+
+    const dayStart = Math.floor(candle.openTime / DAY_MS) * DAY_MS;
+    this._track('day', 'day', dayStart, candle);
+    this._track('week', 'week', this._weekStart(candle.openTime), candle);
+
+    for (const session of this.sessions) {
+      this._track(session.name, 'session', this._sessionStart(session, candle.openTime), candle);
+    }
+  }
+
+  /**
+   * Засіює добу / тиждень з біржових свічок (REST): попередній закритий період
+   * публікується як рівні, поточний — стає повним поточним періодом.
+   * @param {'day'|'week'} name
+   * @param {{ start, high, low }} previous - попередній закритий період
+   * @param {{ start, high, low }} [current] - поточний (ще відкритий) період
+   */
+  seed(name, previous, current) {
+    if (this.lastPublished[name] !== previous.start) {
+      this._publish(name, name, { ...previous, complete: true });
+    }
+
+    const running = this.running[name];
+    if (current && (!running || running.start !== current.start)) {
+      this.running[name] = { ...current, complete: true };
+    } else if (current && running) {
+      running.high = Math.max(running.high, current.high);
+      running.low = Math.min(running.low, current.low);
+      running.complete = true;
+    }
+  }
+
+  /**
+   * Активні рівні сторони з вагою (config.keyLevels.weights за kind)
+   * @param {'high'|'low'} side
+   * @returns {Object[]}
+   */
+  getLevels(side) {
+    return this.levels
+      .filter(level => level.side === side)
+      .map(level => ({ ...level, weight: config.keyLevels.weights[level.kind] ?? 1 }));
+  }
+
+  /**
+   * Видаляє зняті рівні після підтвердженого алерту.
+   * @param {'high'|'low'} side
+   * @param {Object[]} sweptLevels - рівні з результату sweep (ключові мають label)
+   */
+  clearLevels(side, sweptLevels) {
+    const labels = new Set(sweptLevels.filter(s => s.label).map(s => s.label));
+    this.levels = this.levels.filter(level => level.side !== side || !labels.has(level.label));
+  }
+
+  getStatus() {
+    return this.levels.map(level => ({ label: level.label, price: level.price, side: level.side }));
+  }
+
+  /**
+   * Серіалізований стан (для StateStore)
+   */
+  getState() {
+    return {
+      running: this.running,
+      lastPublished: this.lastPublished,
+      levels: this.levels,
+    };
+  }
+
+  /**
+   * @param {{ running, lastPublished, levels }} state
+   */
+  restoreState(state) {
+    this.running = state.running || {};
+    this.lastPublished = state.lastPublished || {};
+    this.levels = state.levels || [];
+  }
+
+  // ─── Приватне ─────────────────────────────────────────────────────────────
+
+  /**
+   * Веде один період: при зміні start завершений період публікується
+   * @param {string} name - day | week | назва сесії
+   * @param {'day'|'week'|'session'} kind
+   * @param {number|null} start - початок періоду цієї свічки (null — поза сесією)
+   */
+  _track(name, kind, start, candle) {
+    const running = this.running[name];
+
+    // Свічка старшого за поточний періоду (backfill після seed) — цей період
+    // уже завершено й опубліковано; інакше частковий діапазон перекрив би рівні
+    if (running && start !== null && start < running.start) return;
+
+    if (running && running.start !== start) {
+      this._publish(name, kind, running);
+      delete this.running[name];
+    }
+    if (start === null) return;
+
+    if (!this.running[name]) {
+      this.running[name] = {
+        start,
+        high: candle.high,
+        low: candle.low,
+        complete: candle.openTime === start,
+      };
+    } else {
+      this.running[name].high = Math.max(this.running[name].high, candle.high);
+      this.running[name].low = Math.min(this.running[name].low, candle.low);
+    }
+  }
+
+  _publish(name, kind, period) {
+    if (!period.complete) {
+      logger.debug(`${this.tag} ${name} ${new Date(period.start).toISOString()} покрито не повністю — рівні не публікуються`);
+      return;
+    }
+
+    const labels = LABELS[kind] || { high: `${name} High`, low: `${name} Low` };
+    this.levels = this.levels.filter(level => level.name !== name);
+    this.levels.push(
+      { price: period.high, side: 'high', kind, name, label: labels.high, time: period.start },
+      { price: period.low,  side: 'low',  kind, name, label: labels.low,  time: period.start },
+    );
+    this.lastPublished[name] = period.start;
+
+    logger.info(`${this.tag} 🏛 ${labels.high} ${period.high} | ${labels.low} ${period.low}`);
+  }
+
+  /** Початок тижня (понеділок 00:00 UTC) */
+  _weekStart(time) {
+    const day = Math.floor(time / DAY_MS);
+    // 1970-01-01 — четвер: (day + 3) % 7 = днів від понеділка
+    return (day - ((day + 3) % 7)) * DAY_MS;
+  }
+
+  /**
+   * Початок поточного екземпляра сесії або null, якщо час поза сесією.
+   * Сесія може переходити через північ (start > end).
+   * @param {{ start: number, end: number }} session - хвилини від 00:00 UTC
+   */
+  _sessionStart(session, time) {
+    const dayStart = Math.floor(time / DAY_MS) * DAY_MS;
+    const minute = (time - dayStart) / MINUTE_MS;
+
+    if (session.start <= session.end) {
+      return minute >= session.start && minute < session.end ? dayStart + session.start * MINUTE_MS : null;
+    }
+    if (minute >= session.start) return dayStart + session.start * MINUTE_MS;
+    if (minute < session.end) return dayStart - DAY_MS + session.start * MINUTE_MS;
+    return null;
+  }
+}
+
+module.exports = KeyLevelDetector;
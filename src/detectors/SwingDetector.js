@@ -1,8 +1,9 @@
 /**
  * detectors/SwingDetector.js
  *
- * Відстежує СЕРІЮ підтверджених swing high і swing low на 15m.
- * Замість одного рівня — зберігаємо пул ліквідності:
+ * Відстежує СЕРІЮ підтверджених swing high і swing low на кожному старшому
+ * таймфреймі (config.timeframes.list). Замість одного рівня — зберігаємо пул
+ * ліквідності окремо для кожного таймфрейму:
  *
  * Ascending lows (LONG liquidity pool):
  *   Low1 < Low2 < Low3 < Low4  → сходинки вгору → стопи під кожним
@@ -11,53 +12,89 @@
  * Descending highs (SHORT liquidity pool):
  *   High1 > High2 > High3 > High4  → сходинки вниз → стопи над кожним
  *   Коли ціна одним рухом пробиває кілька → масове зняття ліквідності
+ *
+ * Зняття свінга старшого таймфрейму важить більше (config.timeframes.weights):
+ * getSweptLows/getSweptHighs повертають сумарну вагу знятих рівнів.
+ * Однакова ціна на кількох таймфреймах рахується один раз — зі старшою вагою.
+ *
+ * Кожна закрита 1m свічка оновлює стан рівнів (applyCandle):
+ *   - close за рівнем — ліквідність уже забрана, рівень видаляється
+ *   - вік більший за maxAgeCandles свічок свого таймфрейму — рівень видаляється
+ *   - тінь дістала рівень без закриття за ним — touches++
+ * Тож getSweptHighs/getSweptLows бачать лише рівні з ліквідністю, що ще стоїть.
+ *
+ * Equal highs / equal lows: кілька рівнів пулу (усіх таймфреймів) у межах
+ * допуску config.equalLevels — там скупчуються стопи. getEqualHighs/getEqualLows
+ * повертають кластери; зняття кластеру повністю позначається в результатах sweep.
  */
 
 const { config } = require('../config');
+const { timeframeToMs } = require('../utils/timeframe');
 const logger = require('../utils/logger');
 
 class SwingDetector {
-  constructor() {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   */
+  constructor(settings) {
+    this.tag = `[SwingDetector ${settings.symbol.toUpperCase()}]`;
     this.lookback    = config.swing.lookback;     // N свічок ліво/право
-    this.maxPoolSize = config.swing.maxPoolSize;  // макс рівнів у пулі
+    this.maxPoolSize = config.swing.maxPoolSize;  // макс рівнів у пулі одного таймфрейму
+    this.maxAgeCandles = config.swing.maxAgeCandles;
+
+    // pools: { [timeframe]: { highs: [], lows: [] } } — від старого до нового
+    // Кожен рівень: { price, time, idx, timeframe, touches }
+    this.pools = Object.fromEntries(
+      config.timeframes.list.map(tf => [tf, { highs: [], lows: [] }])
+    );
 
-    // Масиви підтверджених свінгів (від старого до нового)
-    // Кожен: { price, time, idx }
-    this.swingHighPool = [];
-    this.swingLowPool  = [];
+    // ATR кожного таймфрейму (для допуску equal highs/lows)
+    this.atr = {};
   }
 
   /**
-   * Оновлює пули при закритті нової 15m свічки.
-   * @param {Object[]} candles15m
+   * Оновлює пули таймфрейму при закритті його свічки.
+   * @param {string} timeframe
+   * @param {Object[]} candles - закриті свічки цього таймфрейму
    */
-  update(candles15m) {
-    const len = candles15m.length;
+  update(timeframe, candles) {
+    const pool = this.pools[timeframe];
+    if (!pool) return;
+
+    this.atr[timeframe] = this._calculateAtr(candles);
+
+    const len = candles.length;
     if (len < this.lookback * 2 + 1) return;
 
     const idx = len - 1 - this.lookback;
     if (idx < this.lookback) return;
 
-    const candidate = candles15m[idx];
+    const candidate = candles[idx];
+
+    // Свічка з простою зʼєднання має неповні high/low — у її околі свінг не визначаємо
+    if (candles.slice(idx - this.lookback, idx + this.lookback + 1).some(c => c.unreliable)) {
+      logger.debug(`${this.tag} ${timeframe} свінг ${new Date(candidate.openTime).toISOString()} пропущено: недостовірні свічки`);
+      return;
+    }
 
-    const alreadyHigh = this.swingHighPool.some(s => s.time === candidate.openTime);
-    const alreadyLow  = this.swingLowPool.some(s => s.time === candidate.openTime);
+    const alreadyHigh = pool.highs.some(s => s.time === candidate.openTime);
+    const alreadyLow  = pool.lows.some(s => s.time === candidate.openTime);
 
     // ─── Swing High ───────────────────────────────────────────────────────────
     if (!alreadyHigh) {
       let isSwingHigh = true;
       for (let i = 1; i <= this.lookback; i++) {
-        if (candles15m[idx - i].high >= candidate.high ||
-            candles15m[idx + i].high >= candidate.high) {
+        if (candles[idx - i].high >= candidate.high ||
+            candles[idx + i].high >= candidate.high) {
           isSwingHigh = false;
           break;
         }
       }
       if (isSwingHigh) {
-        this._addToPool(this.swingHighPool, { price: candidate.high, time: candidate.openTime, idx });
+        this._addToPool(pool.highs, { price: candidate.high, time: candidate.openTime, idx, timeframe, touches: 0 });
         logger.info(
-          `[SwingDetector] 🔺 Swing High: ${candidate.high} | ` +
-          `Пул: [${this.swingHighPool.map(s => s.price).join(', ')}]`
+          `${this.tag} 🔺 ${timeframe} Swing High: ${candidate.high} | ` +
+          `Пул: [${pool.highs.map(s => s.price).join(', ')}]`
         );
       }
     }
@@ -66,31 +103,49 @@ class SwingDetector {
     if (!alreadyLow) {
       let isSwingLow = true;
       for (let i = 1; i <= this.lookback; i++) {
-        if (candles15m[idx - i].low <= candidate.low ||
-            candles15m[idx + i].low <= candidate.low) {
+        if (candles[idx - i].low <= candidate.low ||
+            candles[idx + i].low <= candidate.low) {
           isSwingLow = false;
           break;
         }
       }
       if (isSwingLow) {
-        this._addToPool(this.swingLowPool, { price: candidate.low, time: candidate.openTime, idx });
+        this._addToPool(pool.lows, { price: candidate.low, time: candidate.openTime, idx, timeframe, touches: 0 });
         logger.info(
-          `[SwingDetector] 🔻 Swing Low: ${candidate.low} | ` +
-          `Пул: [${this.swingLowPool.map(s => s.price).join(', ')}]`
+          `${this.tag} 🔻 ${timeframe} Swing Low: ${candidate.low} | ` +
+          `Пул: [${pool.lows.map(s => s.price).join(', ')}]`
         );
       }
     }
   }
 
+  /**
+   * Оновлює рівні всіх пулів закритою 1m свічкою: інвалідація закриттям
+   * за рівнем, старіння і лічильник дотиків.
+   * Викликається після перевірки sweep цієї свічки.
+   * @param {Object} candle - закрита 1m свічка
+   */
+  applyCandle(candle) {
+    for (const [tf, pool] of Object.entries(this.pools)) {
+      const expiresBefore = candle.openTime - this.maxAgeCandles * timeframeToMs(tf);
+
+      pool.highs = pool.highs.filter(level => this._refreshLevel(level, 'high', candle, expiresBefore));
+      pool.lows  = pool.lows.filter(level => this._refreshLevel(level, 'low', candle, expiresBefore));
+    }
+  }
+
   /**
    * Повертає всі swing low що були ПРОБИТІ (candleLow < swingLow.price).
    * @param {number} candleLow
+   * @param {Object[]} [keyLevels] - ключові рівні (KeyLevelDetector.getLevels('low')), перевіряються разом зі свінгами
    */
-  getSweptLows(candleLow) {
-    const swept = this.swingLowPool.filter(s => candleLow < s.price);
+  getSweptLows(candleLow, keyLevels = []) {
+    const swept = [
+      ...this._collectSwept('lows', s => candleLow < s.price),
+      ...keyLevels.filter(l => candleLow < l.price),
+    ];
     return {
-      swept,
-      count: swept.length,
+      ...this._summarize(swept, this.getEqualLows().filter(c => candleLow < c.from)),
       highestSweptLevel: swept.length > 0 ? Math.max(...swept.map(s => s.price)) : null,
       deepestLevel:      swept.length > 0 ? Math.min(...swept.map(s => s.price)) : null,
     };
@@ -99,38 +154,233 @@ class SwingDetector {
   /**
    * Повертає всі swing high що були ПРОБИТІ (candleHigh > swingHigh.price).
    * @param {number} candleHigh
+   * @param {Object[]} [keyLevels] - ключові рівні (KeyLevelDetector.getLevels('high')), перевіряються разом зі свінгами
    */
-  getSweptHighs(candleHigh) {
-    const swept = this.swingHighPool.filter(s => candleHigh > s.price);
+  getSweptHighs(candleHigh, keyLevels = []) {
+    const swept = [
+      ...this._collectSwept('highs', s => candleHigh > s.price),
+      ...keyLevels.filter(l => candleHigh > l.price),
+    ];
     return {
-      swept,
-      count: swept.length,
+      ...this._summarize(swept, this.getEqualHighs().filter(c => candleHigh > c.to)),
       lowestSweptLevel: swept.length > 0 ? Math.min(...swept.map(s => s.price)) : null,
       highestLevel:     swept.length > 0 ? Math.max(...swept.map(s => s.price)) : null,
     };
   }
 
   /**
-   * Видаляє swept рівні з пулу після підтвердженого алерту.
+   * Кластери equal highs (від нижнього до верхнього)
+   * @returns {{ price, from, to, count, levels }[]}
+   */
+  getEqualHighs() {
+    return this._findEqualClusters(this._collectSwept('highs', () => true));
+  }
+
+  /**
+   * Кластери equal lows (від нижнього до верхнього)
+   * @returns {{ price, from, to, count, levels }[]}
+   */
+  getEqualLows() {
+    return this._findEqualClusters(this._collectSwept('lows', () => true));
+  }
+
+  /**
+   * Поточний допуск equal highs/lows у ціні: абсолютний або ATR × множник
+   * наймолодшого таймфрейму (0, поки ATR невідомий — тоді лише однакові ціни)
+   * @returns {number}
+   */
+  getEqualTolerance() {
+    const { tolerance, atrMultiplier } = config.equalLevels;
+    if (tolerance > 0) return tolerance;
+
+    const [smallest] = Object.keys(this.pools).sort((a, b) => timeframeToMs(a) - timeframeToMs(b));
+    return (this.atr[smallest] || 0) * atrMultiplier;
+  }
+
+  /**
+   * Видаляє swept рівні з пулів після підтвердженого алерту.
    * @param {'high'|'low'} type
    * @param {Object[]} sweptLevels
    */
   clearSweptLevels(type, sweptLevels) {
-    const sweptTimes = new Set(sweptLevels.map(s => s.time));
-    if (type === 'high') {
-      this.swingHighPool = this.swingHighPool.filter(s => !sweptTimes.has(s.time));
-    } else {
-      this.swingLowPool = this.swingLowPool.filter(s => !sweptTimes.has(s.time));
+    const side = type === 'high' ? 'highs' : 'lows';
+
+    // Ціна знята на всіх таймфреймах, де вона є в пулі
+    const sweptPrices = new Set(sweptLevels.map(s => s.price));
+    for (const pool of Object.values(this.pools)) {
+      pool[side] = pool[side].filter(s => !sweptPrices.has(s.price));
     }
   }
 
   getStatus() {
+    const all = (side) => [...new Set(
+      Object.values(this.pools).flatMap(pool => pool[side].map(s => s.price))
+    )];
+
     return {
-      swingHighs: this.swingHighPool.map(s => s.price),
-      swingLows:  this.swingLowPool.map(s => s.price),
+      swingHighs: all('highs'),
+      swingLows:  all('lows'),
+      byTimeframe: Object.fromEntries(
+        Object.entries(this.pools).map(([tf, pool]) => [tf, {
+          swingHighs: pool.highs.map(s => s.price),
+          swingLows:  pool.lows.map(s => s.price),
+        }])
+      ),
     };
   }
 
+  /**
+   * Серіалізований стан (для StateStore)
+   */
+  getState() {
+    return { pools: this.pools };
+  }
+
+  /**
+   * Відновлює пули свінгів (невідомі таймфрейми ігноруються)
+   * @param {{ pools }} state
+   */
+  restoreState(state) {
+    for (const [tf, saved] of Object.entries(state.pools || {})) {
+      if (!this.pools[tf]) continue;
+      this.pools[tf] = {
+        highs: saved.highs.slice(-this.maxPoolSize),
+        lows:  saved.lows.slice(-this.maxPoolSize),
+      };
+    }
+  }
+
+  // ─── Приватне ─────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object} level
+   * @param {'high'|'low'} side
+   * @param {Object} candle - закрита 1m свічка
+   * @param {number} expiresBefore - рівні, сформовані раніше, застаріли
+   * @returns {boolean} чи лишається рівень у пулі
+   */
+  _refreshLevel(level, side, candle, expiresBefore) {
+    const name = `${level.timeframe} swing ${side} ${level.price}`;
+
+    if (level.time < expiresBefore) {
+      logger.info(`${this.tag} ⌛ ${name} застарів (дотиків: ${level.touches || 0}) — видалено з пулу`);
+      return false;
+    }
+
+    const closedBeyond = side === 'high' ? candle.close > level.price : candle.close < level.price;
+    if (closedBeyond) {
+      logger.info(`${this.tag} ❎ ${name}: close ${candle.close} за рівнем — ліквідність забрана, видалено з пулу`);
+      return false;
+    }
+
+    const touched = side === 'high' ? candle.high >= level.price : candle.low <= level.price;
+    if (touched) {
+      level.touches = (level.touches || 0) + 1;
+      logger.debug(`${this.tag} ${name}: дотик #${level.touches}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Пробиті рівні всіх таймфреймів з вагою; однакова ціна — один раз, зі старшою вагою
+   * @param {'highs'|'lows'} side
+   * @param {(level: Object) => boolean} isSwept
+   */
+  _collectSwept(side, isSwept) {
+    const byPrice = new Map();
+
+    for (const [tf, pool] of Object.entries(this.pools)) {
+      const weight = config.timeframes.weights[tf] ?? 1;
+      for (const level of pool[side]) {
+        if (!isSwept(level)) continue;
+        const existing = byPrice.get(level.price);
+        if (!existing || weight > existing.weight) {
+          byPrice.set(level.price, { ...level, weight });
+        }
+      }
+    }
+
+    return Array.from(byPrice.values());
+  }
+
+  /**
+   * Спільна частина результату: рівні, кількість, вага, розбивка за таймфреймами,
+   * назви знятих ключових рівнів і повністю зняті кластери equal highs/lows
+   * (їх рівні позначено equal: true)
+   */
+  _summarize(swept, equalClusters) {
+    const timeframes = {};
+    for (const s of swept) {
+      if (s.timeframe) timeframes[s.timeframe] = (timeframes[s.timeframe] || 0) + 1;
+    }
+
+    const equalPrices = new Set(equalClusters.flatMap(c => c.levels.map(l => l.price)));
+    for (const s of swept) {
+      s.equal = equalPrices.has(s.price);
+    }
+
+    return {
+      swept,
+      count: swept.length,
+      weight: swept.reduce((sum, s) => sum + s.weight, 0),
+      timeframes,
+      keyLevels: swept.filter(s => s.label).map(s => s.label),
+      equalClusters,
+    };
+  }
+
+  /**
+   * Групує рівні, що лежать у межах допуску від першого рівня групи
+   * @param {Object[]} levels
+   */
+  _findEqualClusters(levels) {
+    const tolerance = this.getEqualTolerance();
+    const sorted = levels.slice().sort((a, b) => a.price - b.price);
+    const clusters = [];
+    let group = [];
+
+    const flush = () => {
+      if (group.length >= config.equalLevels.minLevels) {
+        clusters.push({
+          price: Number((group.reduce((sum, l) => sum + l.price, 0) / group.length).toFixed(8)),
+          from:  group[0].price,
+          to:    group[group.length - 1].price,
+          count: group.length,
+          levels: group,
+        });
+      }
+      group = [];
+    };
+
+    for (const level of sorted) {
+      if (group.length > 0 && level.price - group[0].price > tolerance) flush();
+      group.push(level);
+    }
+    flush();
+
+    return clusters;
+  }
+
+  /**
+   * ATR (просте середнє true range) за останні atrPeriod свічок
+   * @param {Object[]} candles
+   * @returns {number|null}
+   */
+  _calculateAtr(candles) {
+    const period = config.equalLevels.atrPeriod;
+    if (candles.length < 2) return null;
+
+    const recent = candles.slice(-(period + 1));
+    let sum = 0;
+    for (let i = 1; i < recent.length; i++) {
+      const { high, low } = recent[i];
+      const prevClose = recent[i - 1].close;
+      sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    }
+    return sum / (recent.length - 1);
+  }
+
   _addToPool(pool, entry) {
     pool.push(entry);
     pool.sort((a, b) => a.time - b.time);
@@ -1,28 +1,45 @@
 /**
  * engines/CandleBuilder.js
- * Будує 1m свічки з kline-стріму та агрегує їх у 15m свічки.
- * Емітує події при закритті свічок.
+ * Будує 1m свічки з kline-стріму та агрегує їх у старші таймфрейми
+ * (config.timeframes.list: 5m, 15m, 1h, 4h…).
+ * Емітує події при закритті свічок: '1mClose', '<tf>Close' (напр. '15mClose',
+ * '1hClose') і загальну 'close' (timeframe, candle).
+ *
+ * Свічки, що перетинаються з простоєм зʼєднання (markUnreliable), мають
+ * unreliable: true — старший таймфрейм зібрано не з усіх 1m свічок.
  */
 
 const { EventEmitter } = require('events');
+const { config } = require('../config');
+const { timeframeToMs } = require('../utils/timeframe');
 const logger = require('../utils/logger');
 
 class CandleBuilder extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   * @param {string[]} [timeframes] - старші таймфрейми, за замовчуванням config.timeframes.list
+   */
+  constructor(settings, timeframes = config.timeframes.list) {
     super();
+    this.tag = `[CandleBuilder ${settings.symbol.toUpperCase()}]`;
 
     // Поточна 1m свічка (незакрита, з kline-стріму)
     this.current1m = null;
 
-    // Буфер закритих 1m свічок для збірки 15m
-    this.closed1mBuffer = [];
+    // Закриті свічки кожного таймфрейму зберігаємо останні N
+    this.maxHistory = config.swing.historySize;
 
-    // Список закритих 15m свічок (зберігаємо останні N)
-    this.closed15m = [];
-    this.max15mHistory = 60;
+    // frames: { [timeframe]: { ms, current, closed: [] } } — current збирається з 1m
+    this.timeframes = timeframes;
+    this.frames = Object.fromEntries(
+      timeframes.map(tf => [tf, { ms: timeframeToMs(tf), current: null, closed: [] }])
+    );
 
-    // Поточна 15m свічка (збирається вручну)
-    this.current15m = null;
+    // openTime останньої закритої 1m свічки — захист від повторів (backfill, рестарт)
+    this.lastClosed1mOpenTime = null;
+
+    // Простої зʼєднання { from, to }, які ще можуть зачепити наступні 1m свічки
+    this.outages = [];
   }
 
   /**
@@ -43,15 +60,47 @@ class CandleBuilder extends EventEmitter {
       volume: parseFloat(k.v),
       isClosed: k.x,
     };
+    if (this.outages.some(o => this._overlaps(candle.openTime, candle.closeTime, o))) {
+      candle.unreliable = true;
+    }
 
     this.current1m = candle;
 
     if (candle.isClosed) {
-      logger.debug(`[CandleBuilder] 1m свічка закрита: O=${candle.open} H=${candle.high} L=${candle.low} C=${candle.close}`);
+      if (this.lastClosed1mOpenTime !== null && candle.openTime <= this.lastClosed1mOpenTime) {
+        logger.debug(`${this.tag} 1m свічка ${candle.openTime} вже оброблена — пропускаємо`);
+        return;
+      }
+      this.lastClosed1mOpenTime = candle.openTime;
+      this.outages = this.outages.filter(o => o.to > candle.closeTime);
+
+      logger.debug(`${this.tag} 1m свічка закрита: O=${candle.open} H=${candle.high} L=${candle.low} C=${candle.close}`);
       this._on1mClose(candle);
     }
   }
 
+  /**
+   * Позначає недостовірними свічки всіх таймфреймів, що перетинаються з
+   * простоєм зʼєднання, включно з поточними і майбутніми 1m свічками простою
+   * @param {number} from - початок простою (ms)
+   * @param {number} to - відновлення (ms)
+   */
+  markUnreliable(from, to) {
+    const outage = { from, to };
+    this.outages.push(outage);
+
+    if (this.current1m && this._overlaps(this.current1m.openTime, this.current1m.closeTime, outage)) {
+      this.current1m.unreliable = true;
+    }
+    for (const frame of Object.values(this.frames)) {
+      for (const candle of [...frame.closed, frame.current]) {
+        if (!candle) continue;
+        const start = candle.windowId * frame.ms;
+        if (this._overlaps(start, start + frame.ms - 1, outage)) candle.unreliable = true;
+      }
+    }
+  }
+
   /**
    * Повертає поточну (незакриту) 1m свічку
    */
@@ -60,10 +109,37 @@ class CandleBuilder extends EventEmitter {
   }
 
   /**
-   * Повертає масив закритих 15m свічок
+   * Повертає масив закритих свічок таймфрейму
+   * @param {string} timeframe
+   */
+  getClosed(timeframe) {
+    return this.frames[timeframe] ? this.frames[timeframe].closed : [];
+  }
+
+  /**
+   * Серіалізований стан (для StateStore)
+   */
+  getState() {
+    return {
+      frames: Object.fromEntries(
+        Object.entries(this.frames).map(([tf, f]) => [tf, { closed: f.closed, current: f.current }])
+      ),
+      lastClosed1mOpenTime: this.lastClosed1mOpenTime,
+    };
+  }
+
+  /**
+   * Відновлює історію свічок таймфреймів (невідомі таймфрейми ігноруються)
+   * @param {{ frames, lastClosed1mOpenTime }} state
    */
-  getClosed15m() {
-    return this.closed15m;
+  restoreState(state) {
+    for (const [tf, saved] of Object.entries(state.frames || {})) {
+      const frame = this.frames[tf];
+      if (!frame) continue;
+      frame.closed = saved.closed.slice(-this.maxHistory);
+      frame.current = saved.current;
+    }
+    this.lastClosed1mOpenTime = state.lastClosed1mOpenTime ?? null;
   }
 
   // ─── Приватні методи ────────────────────────────────────────────────────────
@@ -72,25 +148,36 @@ class CandleBuilder extends EventEmitter {
     // Генеруємо подію закриття 1m
     this.emit('1mClose', candle);
 
-    // Визначаємо індекс 15-хвилинного вікна для цієї свічки
-    // 15m вікно = floor(openTime / 15*60*1000)
-    const windowId = Math.floor(candle.openTime / (15 * 60 * 1000));
+    for (const tf of this.timeframes) {
+      this._aggregate(tf, this.frames[tf], candle);
+    }
+  }
 
-    if (!this.current15m) {
-      // Починаємо нову 15m свічку
-      this.current15m = this._create15mFrom1m(candle, windowId);
-    } else if (windowId === this.current15m.windowId) {
-      // Оновлюємо поточну 15m свічку
-      this._update15m(this.current15m, candle);
+  _overlaps(openTime, closeTime, outage) {
+    return openTime <= outage.to && closeTime >= outage.from;
+  }
+
+  _aggregate(timeframe, frame, candle) {
+    // Індекс вікна таймфрейму для цієї свічки: floor(openTime / тривалість)
+    const windowId = Math.floor(candle.openTime / frame.ms);
+
+    if (!frame.current) {
+      // Починаємо нову свічку
+      frame.current = this._createFrom1m(timeframe, candle, windowId);
+    } else if (windowId === frame.current.windowId) {
+      // Оновлюємо поточну свічку
+      this._update(frame.current, candle);
     } else {
-      // Нове 15m вікно — закриваємо поточну 15m і починаємо нову
-      this._close15m(this.current15m);
-      this.current15m = this._create15mFrom1m(candle, windowId);
+      // Нове вікно — закриваємо поточну свічку і починаємо нову
+      this._close(timeframe, frame);
+      frame.current = this._createFrom1m(timeframe, candle, windowId);
     }
+    if (candle.unreliable) frame.current.unreliable = true;
   }
 
-  _create15mFrom1m(candle1m, windowId) {
+  _createFrom1m(timeframe, candle1m, windowId) {
     return {
+      timeframe,
       windowId,
       openTime: candle1m.openTime,
       open: candle1m.open,
@@ -102,27 +189,27 @@ class CandleBuilder extends EventEmitter {
     };
   }
 
-  _update15m(candle15m, candle1m) {
-    candle15m.high = Math.max(candle15m.high, candle1m.high);
-    candle15m.low = Math.min(candle15m.low, candle1m.low);
-    candle15m.close = candle1m.close;
-    candle15m.volume += candle1m.volume;
-    candle15m.count++;
+  _update(candle, candle1m) {
+    candle.high = Math.max(candle.high, candle1m.high);
+    candle.low = Math.min(candle.low, candle1m.low);
+    candle.close = candle1m.close;
+    candle.volume += candle1m.volume;
+    candle.count++;
   }
 
-  _close15m(candle15m) {
-    logger.debug(`[CandleBuilder] 15m свічка закрита: H=${candle15m.high} L=${candle15m.low}`);
-
-    // Додаємо до масиву закритих 15m свічок
-    this.closed15m.push({ ...candle15m });
+  _close(timeframe, frame) {
+    const candle = { ...frame.current };
+    logger.debug(`${this.tag} ${timeframe} свічка закрита: H=${candle.high} L=${candle.low}`);
 
-    // Обрізаємо буфер
-    if (this.closed15m.length > this.max15mHistory) {
-      this.closed15m.shift();
+    // Додаємо до масиву закритих свічок і обрізаємо буфер
+    frame.closed.push(candle);
+    if (frame.closed.length > this.maxHistory) {
+      frame.closed.shift();
     }
 
-    // Емітуємо подію
-    this.emit('15mClose', candle15m);
+    // Емітуємо події
+    this.emit(`${timeframe}Close`, candle);
+    this.emit('close', timeframe, candle);
   }
 }
 
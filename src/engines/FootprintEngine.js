@@ -2,22 +2,63 @@
  * engines/FootprintEngine.js
  * Будує footprint (стакан обʼємів за ціновими рівнями) з aggTrade потоку.
  * Групує угоди за ціновими кластерами та розраховує delta, POC, тощо.
+ *
+ * Угоди розкладаються по хвилинах за власним часом угоди (msg.T), а не за
+ * моментом приходу kline close. Footprint кожної хвилини зберігається під
+ * openTime її 1m свічки і живе ще retainMinutes після закриття — щоб пізні
+ * угоди потрапили у свою хвилину, а не в наступну.
+ *
+ * Послідовність угод контролюється за ID (f/l — перший/останній trade ID
+ * aggTrade): дублікати відкидаються, а розрив позначає всі хвилини, які він
+ * зачіпає, як неповні (incomplete). Про розрив емітується подія 'gap' з
+ * діапазоном aggregate ID (a) для довантаження через REST. Хвилини простою
+ * зʼєднання (markUnreliable) теж неповні — і без довантаження.
+ *
+ * Аналітика закритої хвилини (calculate):
+ *   - value area (valueAreaPct % обʼєму навколо POC) — VAH / VAL
+ *   - діагональні дисбаланси: buy на рівні P, якщо buyVolume(P) ≥ ratio × sellVolume(P − крок),
+ *     sell — якщо sellVolume(P) ≥ ratio × buyVolume(P + крок)
+ *   - stacked imbalances — stackedImbalanceMin+ сусідніх рівнів з дисбалансом однієї сторони
+ *   - unfinished auction — на екстремумі свічки торгувались обидві сторони
+ *   - minDelta / maxDelta кожного рівня за час життя свічки
  */
 
+const { EventEmitter } = require('events');
 const { config } = require('../config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
-class FootprintEngine {
-  constructor() {
-    // clusters: Map<priceLevel, { buyVolume, sellVolume, totalVolume, delta }>
-    this.clusters = new Map();
+const tradesTotal = metrics.counter('absorption_trades_processed_total', 'Угод aggTrade, доданих у footprint', ['symbol']);
 
-    this.totalBuyVolume = 0;
-    this.totalSellVolume = 0;
-    this.tradeCount = 0;
+const MINUTE_MS = 60 * 1000;
 
-    // Відкриваємо нову свічку з моменту запуску
-    this.candleOpenTime = null;
+// Запобіжник: скільки хвилин тримати, якщо закриття свічок не приходять
+const MAX_BUCKETS = 60;
+
+class FootprintEngine extends EventEmitter {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   */
+  constructor(settings) {
+    super();
+    this.settings = settings;
+    this.symbol = settings.symbol.toUpperCase();
+    this.tag = `[FootprintEngine ${this.symbol}]`;
+    this.retainMs = config.footprint.retainMinutes * MINUTE_MS;
+
+    // buckets: Map<openTime, { clusters: Map<priceLevel, cluster>, clusterSize, totalBuyVolume, totalSellVolume, tradeCount, openGaps, unreliable }>
+    this.buckets = new Map();
+
+    // Хвилини з openTime < prunedBefore уже видалені — угоди для них відкидаються
+    this.prunedBefore = 0;
+    this.lateDropped = 0;
+
+    // Простої зʼєднання { from, to } — їхні хвилини недостовірні
+    this.outages = [];
+
+    // Остання прийнята угода { a, f, l, T } — для контролю послідовності
+    this.lastTrade = null;
+    this.gapStats = { gaps: 0, missingTrades: 0, duplicates: 0, recovered: 0 };
   }
 
   /**
@@ -27,59 +68,77 @@ class FootprintEngine {
   handleTrade(msg) {
     if (msg.e !== 'aggTrade') return;
 
-    const price = parseFloat(msg.p);
-    const qty = parseFloat(msg.q);
-    const isBuyerMaker = msg.m; // true = seller initiated (market sell)
+    if (!this._checkSequence(msg)) return;
 
-    // Визначаємо ціновий рівень (округлення до priceClusterSize)
-    const level = this._snapToCluster(price);
+    this._addTrade(msg);
+    tradesTotal.inc({ symbol: this.symbol });
+  }
 
-    // Отримуємо або створюємо кластер
-    if (!this.clusters.has(level)) {
-      this.clusters.set(level, {
-        price: level,
-        buyVolume: 0,
-        sellVolume: 0,
-        totalVolume: 0,
-        delta: 0,
-      });
+  /**
+   * Додає угоди, довантажені через REST для розриву. Застосовується лише
+   * повний набір — тоді хвилини розриву знову вважаються повними.
+   * @param {Object} gap - обʼєкт події 'gap'
+   * @param {Object[]} trades - aggTrade повідомлення з a у [fromAggId, toAggId]
+   * @returns {boolean} чи закрито розрив
+   */
+  applyRecoveredTrades(gap, trades) {
+    const inRange = trades.filter(t => t.a >= gap.fromAggId && t.a <= gap.toAggId);
+    const expected = gap.toAggId - gap.fromAggId + 1;
+
+    if (inRange.length !== expected) {
+      logger.warn(`${this.tag} Розрив ${gap.fromAggId}-${gap.toAggId}: довантажено ${inRange.length}/${expected} — не застосовуємо`);
+      return false;
     }
 
-    const cluster = this.clusters.get(level);
+    for (const trade of inRange) {
+      this._addTrade(trade);
+    }
 
-    if (isBuyerMaker) {
-      // Market sell (покупець — мейкер, продавець — тейкер)
-      cluster.sellVolume += qty;
-      this.totalSellVolume += qty;
-    } else {
-      // Market buy (продавець — мейкер, покупець — тейкер)
-      cluster.buyVolume += qty;
-      this.totalBuyVolume += qty;
+    for (const openTime of gap.minutes) {
+      const bucket = this.buckets.get(openTime);
+      if (bucket && bucket.openGaps > 0) bucket.openGaps--;
     }
 
-    cluster.totalVolume = cluster.buyVolume + cluster.sellVolume;
-    cluster.delta = cluster.buyVolume - cluster.sellVolume;
-    this.tradeCount++;
+    this.gapStats.recovered++;
+    logger.info(`${this.tag} ✅ Розрив ${gap.fromAggId}-${gap.toAggId} закрито: довантажено ${expected} угод`);
+    return true;
   }
 
   /**
-   * Розраховує повний footprint для поточної свічки
-   * @returns {Object} footprintData
+   * Позначає хвилини простою зʼєднання недостовірними: наявні й ті, що
+   * зʼявляться пізніше (пізні угоди), поки їх не прибере prune
+   * @param {number} from - початок простою (ms)
+   * @param {number} to - відновлення (ms)
    */
-  calculate() {
-    if (this.clusters.size === 0) {
+  markUnreliable(from, to) {
+    this.outages.push({ from, to });
+    for (const [openTime, bucket] of this.buckets) {
+      if (this._inOutage(openTime)) bucket.unreliable = true;
+    }
+  }
+
+  /**
+   * Розраховує повний footprint для хвилини з заданим openTime
+   * @param {number} openTime - openTime 1m свічки
+   * @returns {Object|null} footprintData
+   */
+  calculate(openTime) {
+    const bucket = this.buckets.get(openTime);
+    if (!bucket || bucket.clusters.size === 0) {
       return null;
     }
 
-    const clusterArray = Array.from(this.clusters.values())
+    // Копії кластерів — пізні угоди не змінюють уже виданий footprint
+    const clusterArray = Array.from(bucket.clusters.values())
+      .map(c => ({ ...c }))
       .sort((a, b) => a.price - b.price);
 
     // POC = рівень з максимальним totalVolume
     const poc = clusterArray.reduce((max, c) =>
       c.totalVolume > max.totalVolume ? c : max, clusterArray[0]);
 
-    const totalVolume = this.totalBuyVolume + this.totalSellVolume;
-    const delta = this.totalBuyVolume - this.totalSellVolume;
+    const totalVolume = bucket.totalBuyVolume + bucket.totalSellVolume;
+    const delta = bucket.totalBuyVolume - bucket.totalSellVolume;
 
     // Топ кластер (найвища ціна)
     const topCluster = clusterArray[clusterArray.length - 1];
@@ -87,37 +146,281 @@ class FootprintEngine {
     const bottomCluster = clusterArray[0];
 
     return {
+      openTime,
       clusters: clusterArray,
       poc: poc.price,
       pocVolume: poc.totalVolume,
-      totalBuyVolume: this.totalBuyVolume,
-      totalSellVolume: this.totalSellVolume,
+      totalBuyVolume: bucket.totalBuyVolume,
+      totalSellVolume: bucket.totalSellVolume,
       totalVolume,
       delta,
       topClusterVolume: topCluster.totalVolume,
       bottomClusterVolume: bottomCluster.totalVolume,
-      tradeCount: this.tradeCount,
+      tradeCount: bucket.tradeCount,
+      ...this._valueArea(clusterArray, poc, totalVolume),
+      ...this._imbalances(clusterArray, bucket.clusterSize),
+      unfinishedAuction: {
+        high: topCluster.buyVolume > 0 && topCluster.sellVolume > 0,
+        low:  bottomCluster.buyVolume > 0 && bottomCluster.sellVolume > 0,
+      },
+      // Хвилина зачеплена незакритим розривом у потоці або простоєм зʼєднання — дані неповні
+      incomplete: bucket.openGaps > 0 || bucket.unreliable,
+      unreliable: bucket.unreliable,
     };
   }
 
   /**
-   * Скидає дані для нової свічки
+   * Видаляє хвилини, старші за retainMinutes відносно щойно закритої свічки
+   * @param {number} closedOpenTime - openTime закритої 1m свічки
+   */
+  prune(closedOpenTime) {
+    const cutoff = closedOpenTime - this.retainMs;
+    if (cutoff <= this.prunedBefore) return;
+
+    this.prunedBefore = cutoff;
+    for (const openTime of this.buckets.keys()) {
+      if (openTime < cutoff) this.buckets.delete(openTime);
+    }
+    this.outages = this.outages.filter(o => o.to >= cutoff);
+  }
+
+  /**
+   * Скидає дані всіх хвилин (контроль послідовності ID зберігається)
    */
   reset() {
-    this.clusters.clear();
-    this.totalBuyVolume = 0;
-    this.totalSellVolume = 0;
-    this.tradeCount = 0;
-    this.candleOpenTime = null;
+    this.buckets.clear();
+    this.prunedBefore = 0;
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  /**
+   * Перевіряє послідовність trade ID
+   * @returns {boolean} чи приймати угоду
+   */
+  _checkSequence(msg) {
+    const last = this.lastTrade;
+
+    if (last && msg.l <= last.l) {
+      this.gapStats.duplicates++;
+      logger.debug(`${this.tag} Дублікат угоди a=${msg.a} (l=${msg.l} ≤ ${last.l}) відкинуто`);
+      return false;
+    }
+
+    if (last && msg.f > last.l + 1) {
+      // Позначаємо всі хвилини від останньої прийнятої угоди до поточної
+      const minutes = [];
+      const from = Math.max(
+        Math.floor(last.T / MINUTE_MS) * MINUTE_MS,
+        Math.floor(msg.T / MINUTE_MS) * MINUTE_MS - (MAX_BUCKETS - 1) * MINUTE_MS,
+        this.prunedBefore,
+      );
+      for (let t = from; t <= msg.T; t += MINUTE_MS) {
+        this._getBucket(t).openGaps++;
+        minutes.push(t);
+      }
+
+      const gap = {
+        missingTrades: msg.f - last.l - 1,
+        fromAggId: last.a + 1,
+        toAggId: msg.a - 1,
+        startTime: last.T,
+        endTime: msg.T,
+        minutes,
+      };
+
+      this.gapStats.gaps++;
+      this.gapStats.missingTrades += gap.missingTrades;
+      logger.warn(
+        `${this.tag} ⚠️ Розрив у потоці угод: пропущено ${gap.missingTrades} trade ID ` +
+        `(${last.l + 1}…${msg.f - 1}), хвилин позначено неповними: ${minutes.length}`
+      );
+      this.emit('gap', gap);
+    }
+
+    this.lastTrade = { a: msg.a, f: msg.f, l: msg.l, T: msg.T };
+    return true;
+  }
+
+  _addTrade(msg) {
+    const openTime = Math.floor(msg.T / MINUTE_MS) * MINUTE_MS;
+    if (openTime < this.prunedBefore) {
+      this.lateDropped++;
+      logger.debug(`${this.tag} Запізніла угода ${msg.a} для ${openTime} відкинута`);
+      return;
+    }
+
+    const price = parseFloat(msg.p);
+    const qty = parseFloat(msg.q);
+    const isBuyerMaker = msg.m; // true = seller initiated (market sell)
+
+    const bucket = this._getBucket(openTime);
+
+    // Визначаємо ціновий рівень (округлення до priceClusterSize)
+    const level = this._snapToCluster(price, bucket.clusterSize);
+
+    // Отримуємо або створюємо кластер
+    if (!bucket.clusters.has(level)) {
+      bucket.clusters.set(level, {
+        price: level,
+        buyVolume: 0,
+        sellVolume: 0,
+        totalVolume: 0,
+        delta: 0,
+        minDelta: 0,
+        maxDelta: 0,
+      });
+    }
+
+    const cluster = bucket.clusters.get(level);
+
+    if (isBuyerMaker) {
+      // Market sell (покупець — мейкер, продавець — тейкер)
+      cluster.sellVolume += qty;
+      bucket.totalSellVolume += qty;
+    } else {
+      // Market buy (продавець — мейкер, покупець — тейкер)
+      cluster.buyVolume += qty;
+      bucket.totalBuyVolume += qty;
+    }
+
+    cluster.totalVolume = cluster.buyVolume + cluster.sellVolume;
+    cluster.delta = cluster.buyVolume - cluster.sellVolume;
+    cluster.minDelta = Math.min(cluster.minDelta, cluster.delta);
+    cluster.maxDelta = Math.max(cluster.maxDelta, cluster.delta);
+    bucket.tradeCount++;
+  }
+
+  /**
+   * Value area: від POC розширюємось на сусідній рівень з більшим обʼємом,
+   * доки не набереться valueAreaPct % обʼєму хвилини
+   * @param {Object[]} clusters - відсортовані за ціною
+   * @returns {{ valueAreaHigh: number, valueAreaLow: number }}
+   */
+  _valueArea(clusters, poc, totalVolume) {
+    const target = totalVolume * config.footprint.valueAreaPct / 100;
+    let lo = clusters.indexOf(poc);
+    let hi = lo;
+    let volume = poc.totalVolume;
+
+    while (volume < target && (lo > 0 || hi < clusters.length - 1)) {
+      const below = lo > 0 ? clusters[lo - 1].totalVolume : -1;
+      const above = hi < clusters.length - 1 ? clusters[hi + 1].totalVolume : -1;
+      if (above >= below) {
+        volume += clusters[++hi].totalVolume;
+      } else {
+        volume += clusters[--lo].totalVolume;
+      }
+    }
+
+    return { valueAreaHigh: clusters[hi].price, valueAreaLow: clusters[lo].price };
+  }
+
+  /**
+   * Діагональні дисбаланси і stacked зони. Позначає кожен кластер
+   * прапорцями buyImbalance / sellImbalance.
+   * @param {Object[]} clusters - відсортовані за ціною
+   * @param {number} size - крок кластерів хвилини
+   * @returns {{ imbalances: { buy: number[], sell: number[] }, stackedImbalances: Object[] }}
+   */
+  _imbalances(clusters, size) {
+    const ratio = config.footprint.imbalanceRatio;
+    const byPrice = new Map(clusters.map(c => [c.price, c]));
+    const imbalances = { buy: [], sell: [] };
+
+    const low = clusters[0];
+    const high = clusters[clusters.length - 1];
+
+    for (const c of clusters) {
+      const below = byPrice.get(this._snapToCluster(c.price - size, size));
+      const above = byPrice.get(this._snapToCluster(c.price + size, size));
+
+      // Ask (агресивні покупки) на P проти bid (агресивні продажі) на рівень нижче — і навпаки.
+      // На екстремумах свічки діагонального рівня немає — там дисбаланс не рахуємо
+      c.buyImbalance = c !== low && c.buyVolume > 0 &&
+        c.buyVolume >= ratio * (below ? below.sellVolume : 0);
+      c.sellImbalance = c !== high && c.sellVolume > 0 &&
+        c.sellVolume >= ratio * (above ? above.buyVolume : 0);
+
+      if (c.buyImbalance) imbalances.buy.push(c.price);
+      if (c.sellImbalance) imbalances.sell.push(c.price);
+    }
+
+    const stackedImbalances = [
+      ...this._stackedZones(clusters, 'buy', size),
+      ...this._stackedZones(clusters, 'sell', size),
+    ];
+
+    return { imbalances, stackedImbalances };
+  }
+
+  /**
+   * Зони з stackedImbalanceMin+ сусідніх (через крок кластера) рівнів з дисбалансом
+   * @param {Object[]} clusters - відсортовані за ціною, з прапорцями дисбалансу
+   * @param {'buy'|'sell'} side
+   * @param {number} size - крок кластерів хвилини
+   * @returns {{ side, from, to, count }[]}
+   */
+  _stackedZones(clusters, side, size) {
+    const flag = side === 'buy' ? 'buyImbalance' : 'sellImbalance';
+    const zones = [];
+    let run = [];
+
+    const flush = () => {
+      if (run.length >= config.footprint.stackedImbalanceMin) {
+        zones.push({ side, from: run[0].price, to: run[run.length - 1].price, count: run.length });
+      }
+      run = [];
+    };
+
+    for (const c of clusters) {
+      const prev = run[run.length - 1];
+      if (!c[flag] || (prev && this._snapToCluster(prev.price + size, size) !== c.price)) flush();
+      if (c[flag]) run.push(c);
+    }
+    flush();
+
+    return zones;
+  }
+
+  /** Хвилина openTime перетинається з простоєм зʼєднання */
+  _inOutage(openTime) {
+    return this.outages.some(o => openTime <= o.to && openTime + MINUTE_MS > o.from);
+  }
+
+  _getBucket(openTime) {
+    let bucket = this.buckets.get(openTime);
+    if (bucket) return bucket;
+
+    bucket = {
+      clusters: new Map(),
+      // Крок фіксується на всю хвилину: /set priceClusterSize діє з наступної свічки
+      clusterSize: this.settings.priceClusterSize,
+      totalBuyVolume: 0,
+      totalSellVolume: 0,
+      tradeCount: 0,
+      openGaps: 0,
+      unreliable: this._inOutage(openTime),
+    };
+    this.buckets.set(openTime, bucket);
+
+    // Якщо kline закриття не приходять — не накопичуємо хвилини безкінечно
+    if (this.buckets.size > MAX_BUCKETS) {
+      const oldest = Math.min(...this.buckets.keys());
+      this.buckets.delete(oldest);
+      logger.warn(`${this.tag} Перевищено ${MAX_BUCKETS} хвилин без закриття — видалено ${oldest}`);
+    }
+
+    return bucket;
   }
 
   /**
    * Округлює ціну до найближчого кластеру
    * @param {number} price
+   * @param {number} size - крок кластерів хвилини
    * @returns {number}
    */
-  _snapToCluster(price) {
-    const size = config.footprint.priceClusterSize;
+  _snapToCluster(price, size) {
     return Math.round(price / size) * size;
   }
 }
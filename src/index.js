@@ -17,7 +17,7 @@ if (!fs.existsSync(logsDir)) {
 
 async function main() {
   logger.info('══════════════════════════════════════');
-  logger.info('     BTCUSDT Absorption Bot v1.0.0    ');
+  logger.info('       Absorption Bot v1.0.0       ');
   logger.info('══════════════════════════════════════');
 
   // Валідація конфігурації
@@ -0,0 +1,58 @@
+/**
+ * replay.js — Точка входу для replay / backtest режиму
+ * Прогоняє записані потоки через конвеєр бота без Telegram і без мережі.
+ *
+ * Використання:
+ *   node src/replay.js <file.ndjson[.gz]> [...] [--out results.ndjson]
+ */
+
+const { config } = require('./config');
+const ReplayRunner = require('./services/ReplayRunner');
+const logger = require('./utils/logger');
+const fs = require('fs');
+const path = require('path');
+
+// Переконуємось що папка для логів існує
+const logsDir = path.join(process.cwd(), 'logs');
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
+function parseArgs(argv) {
+  const files = [];
+  let outFile = config.replay.outFile;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      outFile = argv[++i];
+    } else {
+      files.push(argv[i]);
+    }
+  }
+
+  return { files, outFile };
+}
+
+async function main() {
+  const { files, outFile } = parseArgs(process.argv.slice(2));
+
+  if (files.length === 0 || !outFile) {
+    logger.error('Використання: node src/replay.js <file.ndjson[.gz]> [...] [--out results.ndjson]');
+    process.exit(1);
+  }
+
+  const missing = files.filter(f => !fs.existsSync(f));
+  if (missing.length > 0) {
+    logger.error(`❌ Файли не знайдено: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await new ReplayRunner({ files, outFile }).run();
+  } catch (err) {
+    logger.error(`❌ Помилка replay: ${err.message}`, err);
+    process.exit(1);
+  }
+}
+
+main();
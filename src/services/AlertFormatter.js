@@ -0,0 +1,293 @@
+/**
+ * services/AlertFormatter.js
+ * Текст алертів, незалежний від каналу доставки. Базовий формат — Telegram HTML;
+ * для Discord / Slack / простого тексту він конвертується методами to*.
+ */
+
+// Теги Telegram HTML → розмітка інших каналів
+const MARKUP = {
+  markdown: { b: '**', i: '*', code: '`' },
+  // Slack mrkdwn сам вимагає &lt; &gt; &amp; — сутності не розкриваються
+  slack:    { b: '*',  i: '_', code: '`', keepEntities: true },
+  plain:    { b: '',   i: '',  code: '' },
+};
+
+class AlertFormatter {
+  /**
+   * Текст алерту (Telegram HTML)
+   * @param {'SHORT'|'LONG'|'EXHAUSTION_SHORT'|'EXHAUSTION_LONG'} type
+   * @param {Object} data - дані сигналу від детектора
+   * @returns {string}
+   */
+  format(type, data) {
+    const formatters = {
+      SHORT:            () => this._formatShortAlert(data),
+      LONG:             () => this._formatLongAlert(data),
+      EXHAUSTION_SHORT: () => this._formatExhaustionAlert('SHORT', data),
+      EXHAUSTION_LONG:  () => this._formatExhaustionAlert('LONG', data),
+    };
+    return formatters[type]();
+  }
+
+  /**
+   * Telegram HTML → Markdown (Discord)
+   * @param {string} html
+   */
+  toMarkdown(html) {
+    return this._convert(html, MARKUP.markdown);
+  }
+
+  /**
+   * Telegram HTML → Slack mrkdwn
+   * @param {string} html
+   */
+  toSlack(html) {
+    return this._convert(html, MARKUP.slack);
+  }
+
+  /**
+   * Telegram HTML → простий текст (консоль, файл, JSON webhook)
+   * @param {string} html
+   */
+  toPlain(html) {
+    return this._convert(html, MARKUP.plain);
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _convert(html, markup) {
+    const text = html
+      .replace(/<\/?(b|i|code)>/g, (tag, name) => markup[name])
+      .replace(/<[^>]+>/g, '');
+    if (markup.keepEntities) return text;
+
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Якими правилами підтверджено сигнал
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatConfirmation(direction, data) {
+    const isShort = direction === 'SHORT';
+    const labels = {
+      noNewExtreme:     `Немає продовження ${isShort ? 'вгору' : 'вниз'}`,
+      closeInsideRange: 'Close повернувся за знятий рівень',
+      oppositeDelta:    'Протилежна delta',
+      minDistance:      'Відхід від sweep',
+      pocShift:         'Зсув POC',
+    };
+
+    const rules = (data.confirmedBy || ['noNewExtreme']).map(rule => labels[rule] || rule).join(', ');
+    return data.confirmCandles > 1 ? `${rules} (${data.confirmCandles}-а свічка)` : rules;
+  }
+
+  /** Рядок-маркер для алертів з високим пріоритетом */
+  _formatPriority(data) {
+    return data.tier === 'high' ? '🔥🔥 <b>HIGH PRIORITY</b> 🔥🔥\n' : '';
+  }
+
+  /**
+   * Confidence score з розбивкою компонентів: 72/100 (delta 1.00, volume 0.85, …)
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatScore(data) {
+    if (data.score === undefined) return '';
+
+    const components = Object.entries(data.scoreComponents)
+      .map(([name, value]) => `${name} ${value.toFixed(2)}`)
+      .join(', ');
+    return `🧮 <b>Confidence:</b> <code>${data.score}/100</code> <i>(${components})</i>\n`;
+  }
+
+  /**
+   * Пробиті рівні від нижнього до верхнього з таймфреймом пулу і дотиками
+   * (для ключових рівнів — назва): 50100 (1h) → 50250 (15m, дотиків 2) → 50400 (PDH)
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatLevels(direction, data) {
+    const info = direction === 'SHORT' ? data.sweptHighsInfo : data.sweptLowsInfo;
+    const levels = info ? info.swept : data.sweptLevels.map(price => ({ price }));
+
+    return levels
+      .slice()
+      .sort((a, b) => a.price - b.price)
+      .map(l => `<code>${l.price}</code>` +
+        (l.label ? ` <i>(${l.label})</i>` : '') +
+        (l.timeframe ? ` <i>(${l.timeframe}${l.touches ? `, дотиків ${l.touches}` : ''})</i>` : '') +
+        (l.equal ? (direction === 'SHORT' ? ' ⚖️EQH' : ' ⚖️EQL') : ''))
+      .join(' → ');
+  }
+
+  /**
+   * Рядок про зняті кластери equal highs/lows — там скупчені стопи
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatEqualClusters(direction, data) {
+    if (!data.equalClusters || data.equalClusters.length === 0) return '';
+
+    const name = direction === 'SHORT' ? 'Equal highs' : 'Equal lows';
+    const clusters = data.equalClusters
+      .map(c => `${c.count}× <code>${c.from}</code>–<code>${c.to}</code>`)
+      .join(', ');
+    return `⚖️ <b>${name} знято:</b> ${clusters}\n`;
+  }
+
+  /**
+   * Рядок про зняті ключові рівні: PDH + London High
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatKeyLevels(data) {
+    if (!data.keyLevels || data.keyLevels.length === 0) return '';
+    return `🏛 <b>Key levels:</b> ${data.keyLevels.join(' + ')}\n`;
+  }
+
+  /**
+   * Чия ліквідність знята: "(1h×1, 15m×2)"
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatTimeframes(data) {
+    const entries = Object.entries(data.sweptTimeframes || {});
+    if (entries.length === 0) return '';
+    return `(${entries.map(([tf, n]) => `${tf}×${n}`).join(', ')})`;
+  }
+
+  /**
+   * Рядки з аналітикою footprint: value area, stacked imbalances, unfinished auction
+   * @param {'SHORT'|'LONG'} type
+   * @param {Object} data
+   * @returns {string}
+   */
+  _formatFootprintContext(type, data) {
+    if (data.valueAreaHigh === undefined) return '';
+
+    // Де відбулась абсорбція відносно value area
+    let location = 'всередині VA';
+    if (type === 'SHORT' && data.sweepPrice >= data.valueAreaHigh) location = 'на/над VAH';
+    if (type === 'LONG' && data.sweepPrice <= data.valueAreaLow) location = 'на/під VAL';
+
+    let text =
+      `🧱 <b>Value Area:</b> <code>${data.valueAreaLow}</code> – <code>${data.valueAreaHigh}</code> ` +
+      `<i>(sweep ${location})</i>\n`;
+
+    for (const zone of data.stackedImbalances) {
+      text +=
+        `🧩 <b>Stacked ${zone.side} imbalances:</b> ${zone.count} рівнів ` +
+        `<code>${zone.from}</code> – <code>${zone.to}</code>\n`;
+    }
+
+    if (data.unfinishedAuction) {
+      text += `⚠️ <b>Unfinished auction</b> на ${type === 'SHORT' ? 'хаї' : 'лої'} свічки\n`;
+    }
+
+    return text;
+  }
+
+  _formatShortAlert(data) {
+    const deltaSign = data.delta >= 0 ? '+' : '';
+    const deltaFormatted = `${deltaSign}${data.delta.toFixed(3)}`;
+    const candleTime = new Date(data.candle.openTime).toUTCString();
+
+    // Список пробитих рівнів (від нижнього до верхнього) з таймфреймом
+    const levelsStr = this._formatLevels('SHORT', data);
+
+    return (
+      this._formatPriority(data) +
+      `⚠️ <b>${data.symbol} 1M – SHORT Absorption Detected</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `🔺 <b>Liquidity Sweep:</b> Знято <b>${data.sweptCount} хаїв</b> одним рухом ${this._formatTimeframes(data)}\n` +
+      `📍 <b>Рівні:</b> ${levelsStr}\n` +
+      this._formatKeyLevels(data) +
+      this._formatEqualClusters('SHORT', data) +
+      `📌 <b>Sweep до:</b> <code>${data.sweepPrice}</code>\n` +
+      `⚡ <b>Delta:</b> <code>${deltaFormatted}</code> (${data.deltaMultiple}x avg)\n` +
+      `📊 <b>Volume:</b> <code>${data.volumeMultiple}x</code> avg (${data.totalVolume.toFixed(2)})\n` +
+      `🎯 <b>POC:</b> <code>${data.poc}</code>\n` +
+      this._formatFootprintContext('SHORT', data) +
+      `📉 <b>Close:</b> <code>${data.candleClose}</code> <i>(${data.candleClose < data.poc ? 'нижче POC ✓' : 'не нижче POC'})</i>\n` +
+      this._formatScore(data) +
+      `✅ <b>Підтвердження:</b> ${this._formatConfirmation('SHORT', data)}\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `💡 <i>Агресивні покупці поглинуті пасивними продавцями.\n` +
+      `Знято ліквідність одразу з ${data.sweptCount} рівнів.</i>\n` +
+      `🔴 <b>Potential SHORT reversal.</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `🕐 ${candleTime}`
+    );
+  }
+
+  _formatLongAlert(data) {
+    const deltaSign = data.delta >= 0 ? '+' : '';
+    const deltaFormatted = `${deltaSign}${data.delta.toFixed(3)}`;
+    const candleTime = new Date(data.candle.openTime).toUTCString();
+
+    // Список пробитих рівнів (від нижнього до верхнього) з таймфреймом
+    const levelsStr = this._formatLevels('LONG', data);
+
+    return (
+      this._formatPriority(data) +
+      `✅ <b>${data.symbol} 1M – LONG Absorption Detected</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `🔻 <b>Liquidity Sweep:</b> Знято <b>${data.sweptCount} лоїв</b> одним рухом ${this._formatTimeframes(data)}\n` +
+      `📍 <b>Рівні:</b> ${levelsStr}\n` +
+      this._formatKeyLevels(data) +
+      this._formatEqualClusters('LONG', data) +
+      `📌 <b>Sweep до:</b> <code>${data.sweepPrice}</code>\n` +
+      `⚡ <b>Delta:</b> <code>${deltaFormatted}</code> (${data.deltaMultiple}x avg)\n` +
+      `📊 <b>Volume:</b> <code>${data.volumeMultiple}x</code> avg (${data.totalVolume.toFixed(2)})\n` +
+      `🎯 <b>POC:</b> <code>${data.poc}</code>\n` +
+      this._formatFootprintContext('LONG', data) +
+      `📈 <b>Close:</b> <code>${data.candleClose}</code> <i>(${data.candleClose > data.poc ? 'вище POC ✓' : 'не вище POC'})</i>\n` +
+      this._formatScore(data) +
+      `✅ <b>Підтвердження:</b> ${this._formatConfirmation('LONG', data)}\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `💡 <i>Агресивні продавці поглинуті пасивними покупцями.\n` +
+      `Знято ліквідність одразу з ${data.sweptCount} рівнів.</i>\n` +
+      `🟢 <b>Potential LONG reversal.</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `🕐 ${candleTime}`
+    );
+  }
+
+  _formatExhaustionAlert(direction, data) {
+    const isShort = direction === 'SHORT';
+    const deltaSign = data.delta >= 0 ? '+' : '';
+    const deltaFormatted = `${deltaSign}${data.delta.toFixed(3)}`;
+    const candleTime = new Date(data.candle.openTime).toUTCString();
+
+    const levelsStr = this._formatLevels(direction, data);
+
+    return (
+      `🪫 <b>${data.symbol} 1M – ${direction} Exhaustion Detected</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `${isShort ? '🔺' : '🔻'} <b>Рух у пул:</b> ${data.sweptCount} ${isShort ? 'хаїв' : 'лоїв'} ${this._formatTimeframes(data)}\n` +
+      `📍 <b>Рівні:</b> ${levelsStr}\n` +
+      this._formatKeyLevels(data) +
+      `📌 <b>Екстремум:</b> <code>${data.sweepPrice}</code>\n` +
+      `📉 <b>Volume Drop:</b> <code>${data.volumeMultiple}x</code> avg (${data.totalVolume.toFixed(2)})\n` +
+      `⚖️ <b>Delta:</b> <code>${deltaFormatted}</code> (${data.deltaMultiple}x avg |Δ|)\n` +
+      `🎯 <b>POC:</b> <code>${data.poc}</code>\n` +
+      `✅ <b>Підтвердження:</b> Розворот за close без нового ${isShort ? 'хаю' : 'лою'}\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `💡 <i>${isShort ? 'Покупцям' : 'Продавцям'} забракло палива біля рівнів пулу —\n` +
+      `рух згас без обʼєму і дисбалансу delta.</i>\n` +
+      `${isShort ? '🔴' : '🟢'} <b>Potential ${direction} reversal.</b>\n` +
+      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
+      `🕐 ${candleTime}`
+    );
+  }
+}
+
+module.exports = AlertFormatter;
@@ -0,0 +1,180 @@
+/**
+ * services/AlertPolicy.js
+ * Правила, за якими підтверджений сигнал може стати алертом:
+ *
+ *   - cooldown окремо для кожної пари символ + напрямок (SHORT не блокує LONG
+ *     і не блокує інший символ);
+ *   - дедублікація за зоною: алерт у тому ж символі й напрямку, чия цінова зона
+ *     (зняті рівні + sweep, ± zoneTolerancePct) перетинається із зоною недавнього
+ *     алерту за dedupWindowMs, вважається повтором;
+ *   - ліміт алертів на годину (ковзне вікно, для всіх символів разом).
+ *
+ * Відхилені сигнали пишуться в NDJSON журнал з причиною (suppressedFile).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const suppressedTotal = metrics.counter('absorption_alerts_suppressed_total', 'Алерти, утримані політикою', ['symbol', 'reason']);
+
+class AlertPolicy {
+  /**
+   * @param {Object} [options] - за замовчуванням config.alert
+   */
+  constructor(options = config.alert) {
+    this.cooldownMs = options.cooldownMs;
+    this.dedupWindowMs = options.dedupWindowMs;
+    this.zoneTolerancePct = options.zoneTolerancePct;
+    this.maxPerHour = options.maxPerHour;
+    this.suppressedFile = options.suppressedFile || null;
+
+    // Час останнього алерту: { 'BTCUSDT_SHORT': ms }
+    this.lastAlertAt = {};
+
+    // Недавні алерти: { symbol, direction, from, to, time } — для зон і ліміту на годину
+    this.recent = [];
+
+    if (this.suppressedFile) {
+      fs.mkdirSync(path.dirname(this.suppressedFile), { recursive: true });
+    }
+  }
+
+  /**
+   * Перевіряє, чи можна надіслати алерт
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data - payload сигналу
+   * @param {number} [now]
+   * @returns {{ allowed: true } | { allowed: false, reason: string, detail: string }}
+   */
+  check(direction, data, now = Date.now()) {
+    this._prune(now);
+
+    const last = this.lastAlertAt[this._key(data.symbol, direction)];
+    if (last !== undefined && now - last < this.cooldownMs) {
+      const remaining = ((this.cooldownMs - (now - last)) / 1000).toFixed(0);
+      return { allowed: false, reason: 'cooldown', detail: `${data.symbol} ${direction}: залишилось ${remaining}s` };
+    }
+
+    const zone = this._zone(data);
+    const overlap = this.recent.find(r =>
+      r.symbol === data.symbol && r.direction === direction &&
+      now - r.time < this.dedupWindowMs &&
+      zone.from <= r.to && zone.to >= r.from
+    );
+    if (overlap) {
+      return {
+        allowed: false,
+        reason: 'zoneOverlap',
+        detail: `зона ${zone.from}–${zone.to} перетинає алерт ${new Date(overlap.time).toISOString()} (${overlap.from}–${overlap.to})`,
+      };
+    }
+
+    const lastHour = this.recent.filter(r => now - r.time < HOUR_MS).length;
+    if (lastHour >= this.maxPerHour) {
+      return { allowed: false, reason: 'hourlyCap', detail: `${lastHour}/${this.maxPerHour} алертів за годину` };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Фіксує надісланий алерт (cooldown, зона, ліміт на годину)
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data
+   * @param {number} [now]
+   */
+  record(direction, data, now = Date.now()) {
+    this.lastAlertAt[this._key(data.symbol, direction)] = now;
+    this.recent.push({ symbol: data.symbol, direction, ...this._zone(data), time: now });
+  }
+
+  /**
+   * Пише відхилений сигнал у журнал з причиною
+   * @param {string} type - SHORT | LONG | EXHAUSTION_*
+   * @param {Object} data
+   * @param {string} reason - cooldown | zoneOverlap | hourlyCap | muted | channelFilter
+   * @param {string} [detail]
+   */
+  logSuppressed(type, data, reason, detail = '') {
+    logger.info(`[AlertPolicy] ${data.symbol} ${type} утримано (${reason})${detail ? `: ${detail}` : ''}`);
+    suppressedTotal.inc({ symbol: data.symbol, reason });
+    if (!this.suppressedFile) return;
+
+    const record = {
+      time:        new Date().toISOString(),
+      signalTime:  new Date(data.candle.openTime).toISOString(),
+      symbol:      data.symbol,
+      type,
+      reason,
+      detail,
+      score:       data.score ?? null,
+      tier:        data.tier ?? null,
+      sweptLevels: data.sweptLevels,
+      sweepPrice:  data.sweepPrice,
+    };
+    try {
+      fs.appendFileSync(this.suppressedFile, JSON.stringify(record) + '\n');
+    } catch (err) {
+      logger.error(`[AlertPolicy] Помилка запису ${this.suppressedFile}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Активні cooldown і лічильник за годину для /status
+   * @returns {{ cooldowns: { key, remainingMs }[], lastHour: number, maxPerHour: number }}
+   */
+  getStatus(now = Date.now()) {
+    const cooldowns = Object.entries(this.lastAlertAt)
+      .map(([key, time]) => ({ key: key.replace('_', ' '), remainingMs: this.cooldownMs - (now - time) }))
+      .filter(c => c.remainingMs > 0);
+
+    return {
+      cooldowns,
+      lastHour: this.recent.filter(r => now - r.time < HOUR_MS).length,
+      maxPerHour: this.maxPerHour,
+    };
+  }
+
+  /**
+   * Серіалізований стан (для StateStore)
+   */
+  getState() {
+    return { lastAlertAt: this.lastAlertAt, recent: this.recent };
+  }
+
+  /**
+   * @param {{ lastAlertAt, recent }} state
+   */
+  restoreState(state) {
+    this.lastAlertAt = state.lastAlertAt || {};
+    this.recent = state.recent || [];
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _key(symbol, direction) {
+    return `${symbol}_${direction}`;
+  }
+
+  /** Цінова зона сигналу: зняті рівні + sweep, розширені на zoneTolerancePct */
+  _zone(data) {
+    const prices = [...data.sweptLevels, data.sweepPrice];
+    const from = Math.min(...prices);
+    const to = Math.max(...prices);
+    const pad = to * this.zoneTolerancePct / 100;
+    return { from: +(from - pad).toFixed(8), to: +(to + pad).toFixed(8) };
+  }
+
+  /** Прибирає записи, що вже не впливають ні на зону, ні на ліміт */
+  _prune(now) {
+    const keepMs = Math.max(this.dedupWindowMs, HOUR_MS);
+    this.recent = this.recent.filter(r => now - r.time < keepMs);
+  }
+}
+
+module.exports = AlertPolicy;
@@ -0,0 +1,281 @@
+/**
+ * services/AlertQueue.js
+ * Персистентна черга вихідних повідомлень (алерти і статуси) для каналів доставки.
+ *
+ *   - FIFO окремо для кожного каналу: невдале повідомлення не пропускається,
+ *     наступні чекають за ним;
+ *   - повтор з експоненційною затримкою (retryBaseMs × 2^спроба, до retryMaxMs),
+ *     а якщо канал повернув retry_after (429) — саме через стільки;
+ *   - ліміт повідомлень на хвилину для кожного каналу (чату);
+ *   - алерт старше lateAfterMs надсилається з позначкою ⏰ LATE,
+ *     старше maxAgeMs — відкидається;
+ *   - статус старше lateAfterMs відкидається: застарілий "зупиняюсь" чи
+ *     "дані недостовірні" після рестарту лише вводить в оману;
+ *   - черга записується у файл при кожній зміні (атомарно), тож переживає рестарт
+ *     (статуси попереднього запуску при завантаженні відкидаються).
+ *
+ * Доставка "щонайменше один раз": якщо канал відповів помилкою чи таймаутом,
+ * але повідомлення насправді дійшло, повтор надішле його вдруге.
+ * Результат конкретного повідомлення — поле result обʼєкта з enqueueAlert:
+ * 'sent' | 'dropped', або відсутнє, поки повідомлення в черзі.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/** Затримка для людини: 45s або 3.5 хв */
+function formatDelay(ms) {
+  return ms < 60_000 ? `${(ms / 1000).toFixed(1)}s` : `${(ms / 60_000).toFixed(1)} хв`;
+}
+
+// Поля data, що не потрібні каналам і лише роздувають файл черги
+const HEAVY_DATA_FIELDS = ['footprint', 'sweptLowsInfo', 'sweptHighsInfo'];
+
+const sentTotal = metrics.counter('absorption_alerts_sent_total', 'Доставлено повідомлень', ['channel', 'kind']);
+const failedTotal = metrics.counter('absorption_alerts_failed_total', 'Невдалих спроб доставки', ['channel', 'kind']);
+const droppedTotal = metrics.counter('absorption_alerts_dropped_total', 'Відкинуто з черги без доставки', ['channel', 'kind']);
+
+class AlertQueue {
+  /**
+   * @param {import('../channels/AlertChannel')[]} channels
+   * @param {Object} [options] - за замовчуванням config.alertQueue
+   */
+  constructor(channels, options = config.alertQueue) {
+    this.channels = new Map(channels.map(channel => [channel.name, channel]));
+    this.file = options.file || null;
+    this.retryBaseMs = options.retryBaseMs;
+    this.retryMaxMs = options.retryMaxMs;
+    this.minIntervalMs = 60_000 / options.ratePerMinute;
+    this.lateAfterMs = options.lateAfterMs;
+    this.maxAgeMs = options.maxAgeMs;
+
+    // { id, channel, kind: 'alert'|'status', alert?, html?, createdAt, attempts, nextAttemptAt, lastError }
+    this.items = [];
+    this._seq = 0;
+
+    // Час останньої відправки в кожен канал — для ліміту на хвилину
+    this.lastSentAt = {};
+
+    this.stats = { sent: 0, failedAttempts: 0, late: 0, dropped: 0, lastError: null };
+
+    this._timer = null;
+    this._processing = null;
+
+    this._load();
+  }
+
+  /**
+   * Ставить алерт у чергу каналу
+   * @param {string} channelName
+   * @param {Object} alert - { type, direction, pattern, symbol, score, tier, html, data }
+   * @returns {Object} елемент черги — після process() у ньому result / lastError
+   */
+  enqueueAlert(channelName, alert) {
+    const data = { ...alert.data };
+    for (const field of HEAVY_DATA_FIELDS) delete data[field];
+    return this._push({ channel: channelName, kind: 'alert', alert: { ...alert, data } });
+  }
+
+  /**
+   * Ставить статусне повідомлення в чергу каналу
+   * @param {string} channelName
+   * @param {string} html
+   */
+  enqueueStatus(channelName, html) {
+    this._push({ channel: channelName, kind: 'status', html });
+  }
+
+  /**
+   * Надсилає все, що можна надіслати зараз (з урахуванням затримок і ліміту),
+   * і планує наступну обробку. Паралельні виклики чекають одну й ту саму обробку.
+   * @returns {Promise<void>}
+   */
+  process() {
+    if (!this._processing) {
+      this._processing = this._processDue().finally(() => {
+        this._processing = null;
+        this._schedule();
+      });
+    }
+    return this._processing;
+  }
+
+  /** Зупиняє таймер повторів (черга лишається у файлі) */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Глибина черги і лічильники для /status
+   * @returns {{ depth, byChannel, sent, failedAttempts, late, dropped, lastError }}
+   */
+  getStatus() {
+    const byChannel = {};
+    for (const item of this.items) {
+      byChannel[item.channel] = (byChannel[item.channel] || 0) + 1;
+    }
+    return { depth: this.items.length, byChannel, ...this.stats };
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _push(fields) {
+    const now = Date.now();
+    const item = {
+      id: `${now}-${++this._seq}`,
+      ...fields,
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+    };
+    this.items.push(item);
+    this._save();
+    return item;
+  }
+
+  async _processDue() {
+    // Голова черги кожного каналу — повідомлення в каналі йдуть по порядку
+    for (;;) {
+      const now = Date.now();
+      const heads = this._heads().filter(item => this._readyAt(item) <= now);
+      if (heads.length === 0) return;
+
+      for (const item of heads) {
+        await this._deliver(item);
+      }
+    }
+  }
+
+  async _deliver(item) {
+    const channel = this.channels.get(item.channel);
+    const ageMs = Date.now() - item.createdAt;
+    const maxAgeMs = item.kind === 'status' ? this.lateAfterMs : this.maxAgeMs;
+
+    if (!channel || ageMs > maxAgeMs) {
+      this.stats.dropped++;
+      droppedTotal.inc({ channel: item.channel, kind: item.kind });
+      logger.error(
+        `[AlertQueue] ${item.kind} ${item.id} → ${item.channel} відкинуто ` +
+        `(${channel ? `старше ${formatDelay(maxAgeMs)}` : 'канал вимкнено'}, спроб ${item.attempts})`
+      );
+      item.result = 'dropped';
+      this._remove(item);
+      return;
+    }
+
+    const late = ageMs > this.lateAfterMs;
+    const lateMark = late ? `⏰ <b>LATE</b> — затримка ${formatDelay(ageMs)}\n` : '';
+
+    item.attempts++;
+    this.lastSentAt[item.channel] = Date.now();
+    try {
+      if (item.kind === 'alert') {
+        await channel.sendAlert({ ...item.alert, html: lateMark + item.alert.html, late, delayMs: ageMs });
+      } else {
+        await channel.sendStatus(item.html);
+      }
+    } catch (err) {
+      const delayMs = err.retryAfterMs ?? Math.min(this.retryBaseMs * 2 ** (item.attempts - 1), this.retryMaxMs);
+      item.nextAttemptAt = Date.now() + delayMs;
+      item.lastError = err.message;
+      this.stats.failedAttempts++;
+      failedTotal.inc({ channel: item.channel, kind: item.kind });
+      this.stats.lastError = `${item.channel}: ${err.message}`;
+      logger.warn(
+        `[AlertQueue] ${item.kind} ${item.id} → ${item.channel} не надіслано (спроба ${item.attempts}): ` +
+        `${err.message}; повтор через ${formatDelay(delayMs)}` +
+        (err.retryAfterMs !== undefined ? ' (retry_after)' : '')
+      );
+      this._save();
+      return;
+    }
+
+    this.stats.sent++;
+    sentTotal.inc({ channel: item.channel, kind: item.kind });
+    if (late) this.stats.late++;
+    if (item.attempts > 1 || late) {
+      logger.info(`[AlertQueue] ${item.kind} ${item.id} → ${item.channel} надіслано зі спроби ${item.attempts}${late ? ' (LATE)' : ''}`);
+    }
+    item.result = 'sent';
+    this._remove(item);
+  }
+
+  /** Перше повідомлення черги кожного каналу */
+  _heads() {
+    const heads = new Map();
+    for (const item of this.items) {
+      if (!heads.has(item.channel)) heads.set(item.channel, item);
+    }
+    return Array.from(heads.values());
+  }
+
+  /** Коли повідомлення можна надсилати: затримка повтору і ліміт каналу */
+  _readyAt(item) {
+    const rateReadyAt = (this.lastSentAt[item.channel] || 0) + this.minIntervalMs;
+    return Math.max(item.nextAttemptAt, rateReadyAt);
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const heads = this._heads();
+    if (heads.length === 0) return;
+
+    const nextAt = Math.min(...heads.map(item => this._readyAt(item)));
+    this._timer = setTimeout(() => this.process(), Math.max(nextAt - Date.now(), 0));
+    this._timer.unref();
+  }
+
+  _remove(item) {
+    this.items = this.items.filter(i => i !== item);
+    this._save();
+  }
+
+  _save() {
+    if (!this.file) return;
+
+    const tmpFile = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify(this.items));
+      fs.renameSync(tmpFile, this.file);
+    } catch (err) {
+      logger.error(`[AlertQueue] Помилка збереження черги: ${err.message}`);
+    }
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      this.items = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      logger.warn(`[AlertQueue] Не вдалося прочитати ${this.file}: ${err.message}`);
+      return;
+    }
+
+    // Статуси описують стан попереднього запуску — після рестарту вони неактуальні
+    const staleStatuses = this.items.filter(item => item.kind === 'status');
+    if (staleStatuses.length > 0) {
+      this.items = this.items.filter(item => item.kind !== 'status');
+      this.stats.dropped += staleStatuses.length;
+      for (const item of staleStatuses) droppedTotal.inc({ channel: item.channel, kind: item.kind });
+      logger.info(`[AlertQueue] Відкинуто ${staleStatuses.length} статусів попереднього запуску`);
+      this._save();
+    }
+
+    if (this.items.length > 0) {
+      logger.info(`[AlertQueue] Відновлено ${this.items.length} повідомлень у черзі`);
+      // Після рестарту — одразу нова спроба
+      for (const item of this.items) item.nextAttemptAt = Math.min(item.nextAttemptAt, Date.now());
+    }
+  }
+}
+
+module.exports = AlertQueue;
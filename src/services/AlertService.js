@@ -1,31 +1,39 @@
 /**
  * services/AlertService.js
- * Формує і надсилає Telegram алерти про абсорбцію.
- * Підтримує cooldown між алертами та дедублікацію.
+ * Формує алерти про абсорбцію / виснаження (для будь-якого символу) і розсилає
+ * їх у канали доставки (src/channels: Telegram, Discord, Slack, JSON webhook,
+ * консоль / файл). Кожен канал фільтрує алерти за напрямком і мінімальним score.
+ * Cooldown, дедублікацію за зоною і ліміт на годину визначає AlertPolicy.
+ *
+ * Доставка йде через персистентну AlertQueue: збій каналу (мережа, 429) не
+ * губить алерт — він повторюється з затримкою і переживає рестарт.
  */
 
-const TelegramBot = require('node-telegram-bot-api');
-const { config } = require('../config');
+const AlertFormatter = require('./AlertFormatter');
+const AlertQueue = require('./AlertQueue');
+const AlertPolicy = require('./AlertPolicy');
+const { createChannels } = require('../channels');
 const logger = require('../utils/logger');
 
 class AlertService {
-  constructor() {
-    this.bot = new TelegramBot(config.telegram.botToken, { polling: false });
-    this.chatId = config.telegram.chatId;
+  /**
+   * @param {import('../channels/AlertChannel')[]} [channels] - за замовчуванням з config.channels
+   */
+  constructor(channels = createChannels()) {
+    this.channels = channels;
+    this.formatter = new AlertFormatter();
+    this.queue = new AlertQueue(channels);
 
-    // Cooldown
-    this.lastAlertTime = 0;
-    this.cooldownMs = config.alert.cooldownMs;
+    this.policy = new AlertPolicy();
 
-    // Дедублікація: зберігаємо хеш останніх N алертів
-    this.recentAlertHashes = new Set();
-    this.maxRecentHashes = 20;
+    // Ручне вимкнення алертів (/mute), timestamp ms
+    this.mutedUntil = 0;
   }
 
   /**
    * Надсилає SHORT абсорбційний алерт
    * @param {Object} data - дані події абсорбції
-   * @returns {boolean} чи був алерт надісланий
+   * @returns {boolean} чи прийнято алерт до доставки (надіслано або в черзі повторів)
    */
   async sendShortAlert(data) {
     return this._sendAlert('SHORT', data);
@@ -34,133 +42,144 @@ class AlertService {
   /**
    * Надсилає LONG абсорбційний алерт
    * @param {Object} data - дані події абсорбції
-   * @returns {boolean} чи був алерт надісланий
+   * @returns {boolean} чи прийнято алерт до доставки (надіслано або в черзі повторів)
    */
   async sendLongAlert(data) {
     return this._sendAlert('LONG', data);
   }
 
+  /**
+   * Надсилає алерт виснаження
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data - дані події виснаження
+   * @returns {boolean} чи прийнято алерт до доставки (надіслано або в черзі повторів)
+   */
+  async sendExhaustionAlert(direction, data) {
+    return this._sendAlert(`EXHAUSTION_${direction}`, data);
+  }
+
   /**
    * Надсилає статусне повідомлення (старт бота тощо)
    * @param {string} text
    */
   async sendStatus(text) {
-    try {
-      await this.bot.sendMessage(this.chatId, text, { parse_mode: 'HTML' });
-      logger.info(`[AlertService] Статус надіслано: ${text.substring(0, 50)}...`);
-    } catch (err) {
-      logger.error(`[AlertService] Помилка надсилання статусу: ${err.message}`);
+    for (const channel of this.channels) {
+      this.queue.enqueueStatus(channel.name, text);
     }
+    await this.queue.process();
+    logger.info(`[AlertService] Статус надіслано: ${text.substring(0, 50)}...`);
+  }
+
+  /** Зупиняє повтори черги (невідправлені алерти лишаються у файлі до наступного старту) */
+  stop() {
+    this.queue.stop();
+  }
+
+  /**
+   * Канал за назвою (напр. 'telegram' для CommandService)
+   * @param {string} name
+   * @returns {import('../channels/AlertChannel')|undefined}
+   */
+  getChannel(name) {
+    return this.channels.find(channel => channel.name === name);
+  }
+
+  /**
+   * Вимикає алерти на заданий час (статусні повідомлення не блокуються)
+   * @param {number} durationMs
+   */
+  mute(durationMs) {
+    this.mutedUntil = Date.now() + durationMs;
+    logger.info(`[AlertService] 🔇 Алерти вимкнено до ${new Date(this.mutedUntil).toISOString()}`);
+  }
+
+  /** Скасовує mute */
+  resume() {
+    this.mutedUntil = 0;
+    logger.info('[AlertService] 🔔 Алерти увімкнено');
+  }
+
+  /**
+   * Серіалізований стан політики алертів і mute (для StateStore)
+   */
+  getState() {
+    return {
+      policy: this.policy.getState(),
+      mutedUntil: this.mutedUntil,
+    };
+  }
+
+  /**
+   * @param {{ policy, mutedUntil }} state
+   */
+  restoreState(state) {
+    // Знімки до AlertPolicy (lastAlertTime / recentAlertHashes) не переносяться
+    if (state.policy) this.policy.restoreState(state.policy);
+    this.mutedUntil = state.mutedUntil || 0;
   }
 
   // ─── Приватні методи ────────────────────────────────────────────────────────
 
   async _sendAlert(type, data) {
-    // Перевірка cooldown
     const now = Date.now();
-    const timeSinceLast = now - this.lastAlertTime;
-    if (timeSinceLast < this.cooldownMs) {
-      const remaining = ((this.cooldownMs - timeSinceLast) / 1000).toFixed(0);
-      logger.info(`[AlertService] Cooldown активний, залишилось ${remaining}s`);
+    const direction = type.replace('EXHAUSTION_', '');
+
+    if (now < this.mutedUntil) {
+      this.policy.logSuppressed(type, data, 'muted', `до ${new Date(this.mutedUntil).toISOString()}`);
       return false;
     }
 
-    // Дедублікація: хеш по (тип + набір swept рівнів)
-    const alertHash = `${type}_${data.sweptLevels.join('_')}`;
-    if (this.recentAlertHashes.has(alertHash)) {
-      logger.info(`[AlertService] Дублікат алерту пропущено: ${alertHash}`);
+    const decision = this.policy.check(direction, data, now);
+    if (!decision.allowed) {
+      this.policy.logSuppressed(type, data, decision.reason, decision.detail);
       return false;
     }
 
-    const message = type === 'SHORT'
-      ? this._formatShortAlert(data)
-      : this._formatLongAlert(data);
-
-    try {
-      await this.bot.sendMessage(this.chatId, message, {
-        parse_mode: 'HTML',
-        disable_web_page_preview: true,
-      });
-
-      this.lastAlertTime = now;
-
-      // Зберігаємо хеш
-      this.recentAlertHashes.add(alertHash);
-      if (this.recentAlertHashes.size > this.maxRecentHashes) {
-        const firstKey = this.recentAlertHashes.values().next().value;
-        this.recentAlertHashes.delete(firstKey);
-      }
-
-      logger.info(`[AlertService] ✅ ${type} алерт надіслано! Swing: ${data.swingLevel}, POC: ${data.poc}`);
-      return true;
-    } catch (err) {
-      logger.error(`[AlertService] Помилка надсилання алерту: ${err.message}`);
+    const alert = {
+      type,
+      direction,
+      pattern:   data.pattern || 'absorption',
+      symbol:    data.symbol,
+      score:     data.score,
+      tier:      data.tier,
+      html:      this.formatter.format(type, data),
+      data,
+    };
+
+    const targets = this.channels.filter(channel => channel.accepts(alert));
+    if (targets.length === 0) {
+      this.policy.logSuppressed(type, data, 'channelFilter', `score ${data.score ?? 'n/a'} не проходить фільтри жодного каналу`);
       return false;
     }
-  }
 
-  _formatShortAlert(data) {
-    const deltaSign = data.delta >= 0 ? '+' : '';
-    const deltaFormatted = `${deltaSign}${data.delta.toFixed(3)} BTC`;
-    const candleTime = new Date(data.candle.openTime).toUTCString();
-
-    // Список пробитих рівнів (від нижнього до верхнього)
-    const levelsStr = data.sweptLevels
-      .slice()
-      .sort((a, b) => a - b)
-      .map(p => `<code>${p}</code>`)
-      .join(' → ');
-
-    return (
-      `⚠️ <b>BTCUSDT 1M – SHORT Absorption Detected</b>\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `🔺 <b>Liquidity Sweep:</b> Знято <b>${data.sweptCount} хаїв</b> одним рухом\n` +
-      `📍 <b>Рівні:</b> ${levelsStr}\n` +
-      `📌 <b>Sweep до:</b> <code>${data.sweepPrice}</code>\n` +
-      `⚡ <b>Delta Spike:</b> <code>${deltaFormatted}</code> (${data.deltaMultiple}x avg)\n` +
-      `📊 <b>Volume Spike:</b> <code>${data.volumeMultiple}x</code> avg (${data.totalVolume.toFixed(2)} BTC)\n` +
-      `🎯 <b>POC:</b> <code>${data.poc}</code>\n` +
-      `📉 <b>Close:</b> <code>${data.candleClose}</code> <i>(нижче POC ✓)</i>\n` +
-      `✅ <b>Підтвердження:</b> Немає продовження вгору\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `💡 <i>Агресивні покупці поглинуті пасивними продавцями.\n` +
-      `Знято ліквідність одразу з ${data.sweptCount} рівнів.</i>\n` +
-      `🔴 <b>Potential SHORT reversal.</b>\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `🕐 ${candleTime}`
-    );
-  }
-
-  _formatLongAlert(data) {
-    const deltaSign = data.delta >= 0 ? '+' : '';
-    const deltaFormatted = `${deltaSign}${data.delta.toFixed(3)} BTC`;
-    const candleTime = new Date(data.candle.openTime).toUTCString();
-
-    // Список пробитих рівнів (від нижнього до верхнього)
-    const levelsStr = data.sweptLevels
-      .slice()
-      .sort((a, b) => a - b)
-      .map(p => `<code>${p}</code>`)
-      .join(' → ');
-
-    return (
-      `✅ <b>BTCUSDT 1M – LONG Absorption Detected</b>\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `🔻 <b>Liquidity Sweep:</b> Знято <b>${data.sweptCount} лоїв</b> одним рухом\n` +
-      `📍 <b>Рівні:</b> ${levelsStr}\n` +
-      `📌 <b>Sweep до:</b> <code>${data.sweepPrice}</code>\n` +
-      `⚡ <b>Delta Spike:</b> <code>${deltaFormatted}</code> (${data.deltaMultiple}x avg)\n` +
-      `📊 <b>Volume Spike:</b> <code>${data.volumeMultiple}x</code> avg (${data.totalVolume.toFixed(2)} BTC)\n` +
-      `🎯 <b>POC:</b> <code>${data.poc}</code>\n` +
-      `📈 <b>Close:</b> <code>${data.candleClose}</code> <i>(вище POC ✓)</i>\n` +
-      `✅ <b>Підтвердження:</b> Немає продовження вниз\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `💡 <i>Агресивні продавці поглинуті пасивними покупцями.\n` +
-      `Знято ліквідність одразу з ${data.sweptCount} рівнів.</i>\n` +
-      `🟢 <b>Potential LONG reversal.</b>\n` +
-      `━━━━━━━━━━━━━━━━━━━━━━━━\n` +
-      `🕐 ${candleTime}`
-    );
+    // Канали незалежні: у кожного своя черга, збій одного не блокує інші
+    const items = targets.map(channel => this.queue.enqueueAlert(channel.name, alert));
+
+    // Алерт прийнято — cooldown і дедублікація діють, навіть якщо доставка ще повторюється
+    this.policy.record(direction, data, now);
+
+    await this.queue.process();
+
+    // Результат саме цього алерту в кожному каналі, а не глибина черги каналу
+    const delivered = items.filter(item => item.result === 'sent').map(item => item.channel);
+    const dropped = items.filter(item => item.result === 'dropped').map(item => item.channel);
+    const queued = items
+      .filter(item => !item.result)
+      .map(item => `${item.channel} (${item.lastError ? `помилка: ${item.lastError}` : 'чекає черги каналу'})`);
+
+    if (queued.length > 0 || dropped.length > 0) {
+      logger.warn(
+        `[AlertService] ⏳ ${data.symbol} ${type} алерт не доставлено одразу: ` +
+        [
+          queued.length > 0 && `у черзі ${queued.join(', ')}`,
+          dropped.length > 0 && `відкинуто ${dropped.join(', ')}`,
+          delivered.length > 0 && `надіслано ${delivered.join(', ')}`,
+        ].filter(Boolean).join('; ')
+      );
+    } else {
+      logger.info(`[AlertService] ✅ ${data.symbol} ${type} алерт надіслано (${delivered.join(', ')})! Swing: ${data.swingLevel}, POC: ${data.poc}`);
+    }
+    return true;
   }
 }
 
@@ -0,0 +1,173 @@
+/**
+ * services/BinanceRest.js
+ * Мінімальний клієнт Binance Futures REST API (публічні ендпоінти).
+ * Базовий URL береться з config.binance.restBaseUrl — можна підставити локальний mock.
+ */
+
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const AGG_TRADES_LIMIT = 1000;
+const KLINES_LIMIT = 1500;
+
+class BinanceRest {
+  /**
+   * @param {string} [baseUrl]
+   */
+  constructor(baseUrl = config.binance.restBaseUrl) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeoutMs = config.binance.restTimeoutMs;
+  }
+
+  /**
+   * Закриті 1m свічки у форматі kline повідомлення WebSocket
+   * @param {string} symbol
+   * @param {number} startTime - ms, включно
+   * @param {number} endTime - ms, включно
+   * @returns {Promise<Object[]>}
+   */
+  async getKlineMessages(symbol, startTime, endTime) {
+    const result = [];
+    let from = startTime;
+
+    while (from <= endTime) {
+      const rows = await this._get('/fapi/v1/klines', {
+        symbol: symbol.toUpperCase(),
+        interval: '1m',
+        startTime: from,
+        endTime,
+        limit: KLINES_LIMIT,
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        result.push(this._toKlineMessage(symbol, row));
+      }
+
+      from = rows[rows.length - 1][0] + 60_000;
+      if (rows.length < KLINES_LIMIT) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Останні свічки довільного інтервалу (1d, 1w…), включно з поточною незакритою
+   * @param {string} symbol
+   * @param {string} interval
+   * @param {number} limit
+   * @returns {Promise<{ openTime, high, low, close }[]>}
+   */
+  async getRecentKlines(symbol, interval, limit) {
+    const rows = await this._get('/fapi/v1/klines', {
+      symbol: symbol.toUpperCase(),
+      interval,
+      limit,
+    });
+
+    return rows.map(row => ({
+      openTime: row[0],
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+    }));
+  }
+
+  /**
+   * aggTrades за діапазон часу у форматі aggTrade повідомлення WebSocket.
+   * Діапазон не більше 1 години (обмеження Binance для startTime/endTime).
+   * @param {string} symbol
+   * @param {number} startTime - ms, включно
+   * @param {number} endTime - ms, включно
+   * @returns {Promise<Object[]>}
+   */
+  async getAggTradeMessages(symbol, startTime, endTime) {
+    const result = [];
+
+    // Перша сторінка — за часом, далі пагінація за fromId до виходу за endTime
+    let params = { startTime, endTime };
+
+    for (;;) {
+      const rows = await this._get('/fapi/v1/aggTrades', {
+        symbol: symbol.toUpperCase(),
+        limit: AGG_TRADES_LIMIT,
+        ...params,
+      });
+
+      for (const row of rows) {
+        if (row.T > endTime) return result;
+        result.push({ e: 'aggTrade', s: symbol.toUpperCase(), ...row });
+      }
+
+      if (rows.length < AGG_TRADES_LIMIT) break;
+      params = { fromId: rows[rows.length - 1].a + 1 };
+    }
+
+    return result;
+  }
+
+  /**
+   * aggTrades за діапазоном aggregate ID (для закриття розривів у потоці)
+   * @param {string} symbol
+   * @param {number} fromId - включно
+   * @param {number} toId - включно
+   * @returns {Promise<Object[]>}
+   */
+  async getAggTradeMessagesById(symbol, fromId, toId) {
+    const result = [];
+    let nextId = fromId;
+
+    while (nextId <= toId) {
+      const rows = await this._get('/fapi/v1/aggTrades', {
+        symbol: symbol.toUpperCase(),
+        fromId: nextId,
+        limit: AGG_TRADES_LIMIT,
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (row.a > toId) return result;
+        result.push({ e: 'aggTrade', s: symbol.toUpperCase(), ...row });
+      }
+      nextId = rows[rows.length - 1].a + 1;
+    }
+
+    return result;
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  async _get(endpoint, params) {
+    const query = new URLSearchParams(params).toString();
+    const url = `${this.baseUrl}${endpoint}?${query}`;
+    logger.debug(`[BinanceRest] GET ${url}`);
+
+    const res = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      throw new Error(`${endpoint} → HTTP ${res.status}: ${body.substring(0, 200)}`);
+    }
+    return res.json();
+  }
+
+  _toKlineMessage(symbol, row) {
+    // [openTime, open, high, low, close, volume, closeTime, ...]
+    return {
+      e: 'kline',
+      E: row[6] + 1,
+      s: symbol.toUpperCase(),
+      k: {
+        t: row[0],
+        T: row[6],
+        o: row[1],
+        h: row[2],
+        l: row[3],
+        c: row[4],
+        v: row[5],
+        x: true,
+      },
+    };
+  }
+}
+
+module.exports = BinanceRest;
@@ -1,49 +1,97 @@
 /**
  * services/Bot.js
  * Головний оркестратор — зʼєднує всі модулі разом.
- * Координує потоки даних між WebSocket → CandleBuilder → FootprintEngine
- * → SwingDetector → AbsorptionDetector → AlertService
+ * Тримає спільні WebSocket зʼєднання (combined streams для всіх символів)
+ * і маршрутизує повідомлення в SymbolPipeline відповідного символу:
+ * WebSocket → CandleBuilder → FootprintEngine → SwingDetector
+ * → AbsorptionDetector → AlertService
+ *
+ * Події:
+ *   'signal' (event) — підтверджений сигнал будь-якого символу за схемою
+ *                      utils/signalSchema (також пишеться в журнал SignalPublisher)
  */
 
+const EventEmitter = require('events');
 const WebSocketManager = require('./WebSocketManager');
 const AlertService = require('./AlertService');
-const CandleBuilder = require('../engines/CandleBuilder');
-const FootprintEngine = require('../engines/FootprintEngine');
-const SwingDetector = require('../detectors/SwingDetector');
-const AbsorptionDetector = require('../detectors/AbsorptionDetector');
+const StreamRecorder = require('./StreamRecorder');
+const SymbolPipeline = require('./SymbolPipeline');
+const CommandService = require('./CommandService');
+const StateStore = require('./StateStore');
+const BinanceRest = require('./BinanceRest');
+const SignalPublisher = require('./SignalPublisher');
+const HttpServer = require('./HttpServer');
+const DataHealthMonitor = require('./DataHealthMonitor');
 const { config } = require('../config');
 const logger = require('../utils/logger');
 
-class Bot {
-  constructor() {
-    // ─── WebSocket Менеджери ─────────────────────────────────────────────────
+/**
+ * URL combined stream для всіх символів: <base>/stream?streams=btcusdt@aggTrade/ethusdt@aggTrade
+ * @param {string} streamType - aggTrade, kline_1m
+ */
+function combinedStreamUrl(streamType) {
+  const streams = config.binance.symbols.map(s => `${s}@${streamType}`).join('/');
+  return `${config.binance.wsBaseUrl}/stream?streams=${streams}`;
+}
+
+class Bot extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.alertService] - альтернативний отримувач алертів (напр. файл у replay режимі)
+   * @param {string} [options.outcomeFile] - файл результатів сигналів замість config.outcome.file
+   * @param {BinanceRest|null} [options.rest] - REST клієнт; null — без мережі (replay)
+   * @param {SignalPublisher|null} [options.signalPublisher] - журнал / push подій сигналів; null — вимкнено
+   */
+  constructor(options = {}) {
+    super();
+
+    // ─── WebSocket Менеджери (по одному на тип потоку, спільні для символів) ─
     this.aggTradeWS = new WebSocketManager(
       'aggTrade',
-      config.binance.aggTradeStream,
+      combinedStreamUrl('aggTrade'),
     );
     this.klineWS = new WebSocketManager(
       'kline_1m',
-      config.binance.klineStream,
+      combinedStreamUrl('kline_1m'),
     );
 
-    // ─── Двигуни та детектори ────────────────────────────────────────────────
-    this.candleBuilder = new CandleBuilder();
-    this.footprintEngine = new FootprintEngine();
-    this.swingDetector = new SwingDetector();
-    this.absorptionDetector = new AbsorptionDetector();
-    this.alertService = new AlertService();
+    // Поки дані потоків недостовірні, сигнали всіх символів заблоковано
+    this.healthMonitor = new DataHealthMonitor([this.aggTradeWS, this.klineWS]);
+
+    this.alertService = options.alertService || new AlertService();
+    this.rest = options.rest !== undefined ? options.rest : new BinanceRest();
+    this.signalPublisher = options.signalPublisher !== undefined ? options.signalPublisher : new SignalPublisher();
+
+    // ─── Конвеєри символів ──────────────────────────────────────────────────
+    // Map<symbol (lowercase), SymbolPipeline>
+    this.pipelines = new Map();
+    for (const symbol of config.binance.symbols) {
+      this.pipelines.set(
+        symbol,
+        new SymbolPipeline(config.symbolSettings[symbol], this.alertService, {
+          outcomeFile: options.outcomeFile,
+          rest: this.rest,
+        }),
+      );
+    }
+    this._bindSignalEvents();
+    this._bindOutcomeEvents();
+
+    // Опційний запис сирих потоків на диск
+    this.recorder = null;
 
-    // ─── Стан ───────────────────────────────────────────────────────────────
-    // Footprint для поточної незакритої свічки
-    this._isRunning = false;
+    // Опційні Telegram команди
+    this.commandService = null;
 
-    // Зберігаємо footprint попередньої закритої свічки
-    // (потрібен для перевірки підтвердження)
-    this._lastClosedFootprint = null;
-    this._lastClosedCandle = null;
+    // Опційний HTTP API / дашборд
+    this.httpServer = null;
 
-    // Буфер footprintів для поточного циклу підтвердження
-    this._pendingConfirmBuffer = [];
+    // Збереження стану між рестартами
+    this.stateStore = config.state.enabled ? new StateStore() : null;
+    this._stateTimer = null;
+
+    // ─── Стан ───────────────────────────────────────────────────────────────
+    this._isRunning = false;
   }
 
   /**
@@ -52,26 +100,45 @@ class Bot {
   async start() {
     logger.info('🤖 Absorption Bot запускається...');
 
-    this._bindCandleEvents();
+    this._restoreState();
+    await this._backfill();
+
     this._bindAggTradeEvents();
     this._bindKlineEvents();
     this._bindReconnectEvents();
+    this._bindRecorderEvents();
+    this._bindHealthEvents();
 
     // Підключаємо обидва потоки
     this.aggTradeWS.connect();
     this.klineWS.connect();
+    this.healthMonitor.start();
 
     this._isRunning = true;
 
-    // Повідомляємо про старт у Telegram
+    if (this.stateStore) {
+      this._stateTimer = setInterval(() => this._saveState(), config.state.intervalMs);
+    }
+
+    if (config.telegram.commandsEnabled && this.alertService.getChannel?.('telegram')) {
+      this.commandService = new CommandService(this);
+      this.commandService.start();
+    }
+
+    if (config.http.enabled) {
+      this.httpServer = new HttpServer(this);
+      this.httpServer.start();
+    }
+
+    // Повідомляємо про старт у канали алертів
     await this.alertService.sendStatus(
       '🤖 <b>Absorption Bot запущено</b>\n' +
-      `📊 Символ: BTCUSDT Futures\n` +
-      `⏱ Таймфрейм: 1m / 15m\n` +
+      `📊 Символи: ${this._symbolList()} Futures\n` +
+      `⏱ Таймфрейми: ${['1m', ...config.timeframes.list].join(' / ')}\n` +
       `🕐 ${new Date().toUTCString()}`
     );
 
-    logger.info('✅ Бот запущено і підключається до потоків...');
+    logger.info(`✅ Бот запущено (${this._symbolList()}) і підключається до потоків...`);
   }
 
   /**
@@ -80,44 +147,80 @@ class Bot {
   async stop() {
     logger.info('🛑 Зупинка бота...');
     this._isRunning = false;
+    this.healthMonitor.stop();
     this.aggTradeWS.disconnect();
     this.klineWS.disconnect();
 
+    if (this._stateTimer) {
+      clearInterval(this._stateTimer);
+      this._stateTimer = null;
+    }
+    await this.whenIdle();
+    this._saveState();
+
+    if (this.commandService) {
+      await this.commandService.stop();
+    }
+
+    if (this.httpServer) {
+      await this.httpServer.stop();
+    }
+
+    if (this.recorder) {
+      await this.recorder.close();
+    }
+
+    if (this.signalPublisher) {
+      this.signalPublisher.close();
+    }
+
     await this.alertService.sendStatus('🛑 <b>Absorption Bot зупинено</b>');
+    this.alertService.stop?.();
     logger.info('Бот зупинено');
   }
 
-  // ─── Прив'язка подій ────────────────────────────────────────────────────────
+  /**
+   * aggTrade повідомлення → конвеєр символу
+   * @param {Object} msg - raw Binance aggTrade message
+   */
+  handleTrade(msg) {
+    const pipeline = this._pipelineFor(msg);
+    if (pipeline) pipeline.handleTrade(msg);
+  }
 
   /**
-   * Обробка подій від CandleBuilder
+   * kline_1m повідомлення → конвеєр символу
+   * @param {Object} msg - raw Binance kline message
    */
-  _bindCandleEvents() {
-    // 1m свічка закрита
-    this.candleBuilder.on('1mClose', async (candle) => {
-      await this._on1mClose(candle);
-    });
+  handleKline(msg) {
+    const pipeline = this._pipelineFor(msg);
+    if (pipeline) pipeline.handleKline(msg);
+  }
 
-    // 15m свічка закрита — оновлюємо свінги
-    this.candleBuilder.on('15mClose', (candle15m) => {
-      const candles = this.candleBuilder.getClosed15m();
-      this.swingDetector.update(candles);
+  /**
+   * @param {string} symbol - у будь-якому регістрі
+   * @returns {SymbolPipeline|undefined}
+   */
+  getPipeline(symbol) {
+    return this.pipelines.get(symbol.toLowerCase());
+  }
 
-      const status = this.swingDetector.getStatus();
-      logger.info(
-        `[Bot] 15m свічка закрита | ` +
-        `Swing High: ${status.swingHigh ?? 'n/a'} | ` +
-        `Swing Low: ${status.swingLow ?? 'n/a'}`
-      );
-    });
+  /**
+   * Чекає завершення обробки всіх закритих свічок у всіх символах
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    await Promise.all(Array.from(this.pipelines.values()).map(p => p.whenIdle()));
   }
 
+  // ─── Прив'язка подій ────────────────────────────────────────────────────────
+
   /**
-   * aggTrade потік → FootprintEngine
+   * aggTrade потік → SymbolPipeline
    */
   _bindAggTradeEvents() {
     this.aggTradeWS.on('message', (msg) => {
-      this.footprintEngine.handleTrade(msg);
+      this.handleTrade(msg);
     });
 
     this.aggTradeWS.on('connected', () => {
@@ -126,11 +229,11 @@ class Bot {
   }
 
   /**
-   * kline_1m потік → CandleBuilder
+   * kline_1m потік → SymbolPipeline
    */
   _bindKlineEvents() {
     this.klineWS.on('message', (msg) => {
-      this.candleBuilder.handleKlineMessage(msg);
+      this.handleKline(msg);
     });
 
     this.klineWS.on('connected', () => {
@@ -139,105 +242,188 @@ class Bot {
   }
 
   /**
-   * Обробка перепідключень
+   * Обробка перепідключень: після вичерпання швидких спроб потік
+   * перепідключається повільно без ліміту; після кожного відновлення хвилини
+   * простою позначаються недостовірними в усіх символах і надсилається статус
    */
   _bindReconnectEvents() {
-    this.aggTradeWS.on('maxReconnectReached', async () => {
+    for (const ws of [this.aggTradeWS, this.klineWS]) {
+      ws.on('maxReconnectReached', async () => {
+        await this.alertService.sendStatus(
+          `❌ <b>ПОМИЛКА:</b> ${ws.name} WebSocket не може перепідключитися. Перевірте зʼєднання!\n` +
+          `Повтор кожні ${(config.websocket.slowReconnectIntervalMs / 60_000).toFixed(1)} хв до відновлення.`
+        );
+      });
+
+      ws.on('recovered', async (outage) => {
+        for (const pipeline of this.pipelines.values()) {
+          pipeline.markOutage(outage, ws.name);
+        }
+        const downMs = outage.to - outage.from;
+        const down = downMs < 60_000 ? `${(downMs / 1000).toFixed(0)}s` : `${(downMs / 60_000).toFixed(1)} хв`;
+        await this.alertService.sendStatus(
+          `✅ <b>${ws.name} WebSocket відновлено</b> після ${down} ` +
+          `(спроб: ${outage.attempts})\n` +
+          `Свічки ${new Date(outage.from).toUTCString()} – ${new Date(outage.to).toUTCString()} позначено недостовірними`
+        );
+      });
+    }
+  }
+
+  /**
+   * Здоровʼя даних → блокування сигналів і статус-алерти
+   */
+  _bindHealthEvents() {
+    this.healthMonitor.on('unhealthy', async (issues, { initial }) => {
+      for (const pipeline of this.pipelines.values()) {
+        pipeline.setSignalsBlocked(true, issues.join('; '));
+      }
+      // Перша перевірка після старту — це не перехід зі здорового стану
+      if (initial) return;
       await this.alertService.sendStatus(
-        '❌ <b>ПОМИЛКА:</b> aggTrade WebSocket не може перепідключитися. Перевірте зʼєднання!'
+        '⚠️ <b>Дані потоків недостовірні — сигнали заблоковано</b>\n' +
+        issues.map(issue => `• ${issue}`).join('\n')
       );
     });
 
-    this.klineWS.on('maxReconnectReached', async () => {
+    this.healthMonitor.on('healthy', async ({ downtimeMs, initial }) => {
+      for (const pipeline of this.pipelines.values()) {
+        pipeline.setSignalsBlocked(false);
+      }
+      // Перша перевірка після старту — сповіщати нема про що
+      if (initial) return;
       await this.alertService.sendStatus(
-        '❌ <b>ПОМИЛКА:</b> kline WebSocket не може перепідключитися. Перевірте зʼєднання!'
+        `✅ <b>Дані знову в нормі</b> (недостовірні ${(downtimeMs / 1000).toFixed(0)}s) — сигнали розблоковано`
       );
     });
   }
 
-  // ─── Основна логіка при закритті 1m свічки ──────────────────────────────────
+  /**
+   * Сирі повідомлення обох потоків → StreamRecorder (якщо увімкнено)
+   */
+  _bindRecorderEvents() {
+    if (!config.recorder.enabled) return;
 
-  async _on1mClose(candle) {
-    // 1. Отримуємо footprint для цієї свічки
-    const footprint = this.footprintEngine.calculate();
+    this.recorder = new StreamRecorder();
+    this.aggTradeWS.on('raw', (raw, receivedAt) => this.recorder.record(this.aggTradeWS.name, raw, receivedAt));
+    this.klineWS.on('raw', (raw, receivedAt) => this.recorder.record(this.klineWS.name, raw, receivedAt));
 
-    // 2. Оновлюємо ковзну статистику
-    if (footprint) {
-      this.absorptionDetector.updateStats(footprint.totalVolume, footprint.delta);
-    }
+    logger.info(`[Bot] Запис потоків увімкнено → ${config.recorder.dir}`);
+  }
 
-    logger.debug(
-      `[Bot] 1m закрито: C=${candle.close} | ` +
-      (footprint
-        ? `vol=${footprint.totalVolume.toFixed(2)}, delta=${footprint.delta.toFixed(2)}, poc=${footprint.poc}`
-        : 'footprint=null')
-    );
+  /**
+   * Сигнали всіх конвеєрів → подія Bot 'signal' і SignalPublisher
+   */
+  _bindSignalEvents() {
+    for (const pipeline of this.pipelines.values()) {
+      pipeline.on('signal', (event) => {
+        this.emit('signal', event);
+        if (this.signalPublisher) {
+          this.signalPublisher.publish(event).catch((err) => {
+            logger.error(`[Bot] Помилка публікації сигналу ${event.id}: ${err.message}`);
+          });
+        }
+      });
+    }
+  }
 
-    // 3. Якщо є pending кандидат — перевіряємо підтвердження
-    if (this.absorptionDetector.hasPending() && footprint) {
-      const confirmation = this.absorptionDetector.checkConfirmation(candle, footprint);
-      if (confirmation.type) {
-        await this._handleAbsorptionConfirmed(confirmation);
-      }
+  /**
+   * Добові підсумки результатів сигналів → один статус на всі символи.
+   * Кожен конвеєр закриває добу на своїй першій свічці нової доби; підсумок
+   * надсилається, щойно звітували всі символи, або коли якийсь символ уже
+   * закрив наступну добу (символ без свічок не затримує підсумок назавжди)
+   */
+  _bindOutcomeEvents() {
+    // Map<day, Map<symbol, text>>
+    this._dailySummaries = new Map();
+
+    for (const pipeline of this.pipelines.values()) {
+      pipeline.outcomeTracker.on('dailySummary', ({ symbol, day, text }) => {
+        for (const pendingDay of this._dailySummaries.keys()) {
+          if (pendingDay < day) this._sendDailySummary(pendingDay);
+        }
+
+        if (!this._dailySummaries.has(day)) this._dailySummaries.set(day, new Map());
+        const sections = this._dailySummaries.get(day);
+        sections.set(symbol, text);
+        if (sections.size === this.pipelines.size) this._sendDailySummary(day);
+      });
     }
+  }
 
-    // 4. Перевіряємо нову свічку на кандидата абсорбції
-    if (footprint) {
-      // Отримуємо які рівні з пулу були пробиті цією свічкою
-      const sweptLows  = this.swingDetector.getSweptLows(candle.low);
-      const sweptHighs = this.swingDetector.getSweptHighs(candle.high);
+  _sendDailySummary(day) {
+    const sections = this._dailySummaries.get(day);
+    this._dailySummaries.delete(day);
 
-      if (sweptLows.count > 0 || sweptHighs.count > 0) {
-        logger.debug(
-          `[Bot] Sweep: ${sweptHighs.count} хаїв [${sweptHighs.swept.map(s=>s.price).join(',')}], ` +
-          `${sweptLows.count} лоїв [${sweptLows.swept.map(s=>s.price).join(',')}]`
-        );
-      }
+    const text =
+      `📒 <b>Підсумок сигналів за ${day}</b>\n` +
+      Array.from(sections.values()).map(section => `━━━━━━━━━━━━━━━━━━━━━━━━\n${section}`).join('\n');
+    this.alertService.sendStatus(text).catch((err) => {
+      logger.error(`[Bot] Помилка надсилання добового підсумку ${day}: ${err.message}`);
+    });
+  }
 
-      const candidate = this.absorptionDetector.checkCandle(
-        candle,
-        footprint,
-        sweptLows,
-        sweptHighs,
-      );
+  // ─── Збереження стану ───────────────────────────────────────────────────────
 
-      // checkCandle повертає type тільки якщо щось підтверджено одразу (не використовується зараз)
-      if (candidate.type) {
-        await this._handleAbsorptionConfirmed(candidate);
-      }
-    }
+  _saveState() {
+    if (!this.stateStore) return;
 
-    // 5. Зберігаємо для наступного циклу
-    this._lastClosedCandle = candle;
-    this._lastClosedFootprint = footprint;
+    const symbols = {};
+    for (const [symbol, pipeline] of this.pipelines) {
+      symbols[symbol] = pipeline.getState();
+    }
 
-    // 6. Скидаємо footprint для нової свічки
-    this.footprintEngine.reset();
+    this.stateStore.save({
+      alert: this.alertService.getState(),
+      symbols,
+    });
   }
 
-  async _handleAbsorptionConfirmed(result) {
-    const { type, data } = result;
-    logger.info(`[Bot] 🚨 ${type} Абсорбція підтверджена! Знято ${data.sweptCount} рівнів: [${data.sweptLevels.join(', ')}]`);
+  _restoreState() {
+    if (!this.stateStore) return;
 
-    let sent = false;
-    if (type === 'SHORT') {
-      sent = await this.alertService.sendShortAlert(data);
-    } else if (type === 'LONG') {
-      sent = await this.alertService.sendLongAlert(data);
+    const state = this.stateStore.load();
+    if (!state) return;
+
+    try {
+      this.alertService.restoreState(state.alert);
+      for (const [symbol, pipeline] of this.pipelines) {
+        // Символи, додані після збереження, стартують з нуля
+        if (state.symbols[symbol]) pipeline.restoreState(state.symbols[symbol]);
+      }
+    } catch (err) {
+      logger.error(`[Bot] Помилка відновлення стану: ${err.message}`);
     }
+  }
 
-    if (sent) {
-      logger.info(`[Bot] ✅ Telegram алерт надіслано`);
-      // Очищаємо swept рівні з пулу щоб не тригерити повторно по тим самим рівням
-      if (type === 'SHORT' && data.sweptHighsInfo) {
-        this.swingDetector.clearSweptLevels('high', data.sweptHighsInfo.swept);
-      } else if (type === 'LONG' && data.sweptLowsInfo) {
-        this.swingDetector.clearSweptLevels('low', data.sweptLowsInfo.swept);
+  // ─── Прогрів ────────────────────────────────────────────────────────────────
+
+  /**
+   * Історичні дані через REST до підключення потоків. Помилка одного символу
+   * не зупиняє старт — він просто прогріватиметься з live даних.
+   */
+  async _backfill() {
+    if (!config.backfill.enabled || !this.rest) return;
+
+    for (const pipeline of this.pipelines.values()) {
+      try {
+        await pipeline.backfill(this.rest, config.backfill);
+      } catch (err) {
+        logger.error(`[Bot] Backfill ${pipeline.symbol} не вдався: ${err.message}`);
       }
-    } else {
-      logger.warn(`[Bot] ⚠️ Алерт не надісланий (cooldown або дублікат)`);
     }
   }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _pipelineFor(msg) {
+    if (!msg.s) return undefined;
+    return this.pipelines.get(msg.s.toLowerCase());
+  }
+
+  _symbolList() {
+    return Array.from(this.pipelines.values()).map(p => p.symbol).join(', ');
+  }
 }
 
 module.exports = Bot;
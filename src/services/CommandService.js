@@ -0,0 +1,262 @@
+/**
+ * services/CommandService.js
+ * Telegram команди для інспекції та керування ботом під час роботи.
+ *
+ * Використовує TelegramBot каналу алертів telegram, вмикаючи на ньому polling.
+ * Команди приймаються лише з чатів у config.telegram.allowedChatIds.
+ *
+ *   /status                          — зʼєднання, пули свінгів, ковзні середні
+ *   /pending                         — поточні кандидати абсорбції та виснаження
+ *   /mute 30m                        — вимкнути алерти на час (s, m, h, d)
+ *   /resume                          — увімкнути алерти
+ *   /set <param> <value> [SYMBOL]    — змінити поріг (для всіх символів або одного)
+ */
+
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+// Параметри, які можна змінювати через /set, і їх валідація
+const SETTABLE_PARAMS = {
+  deltaMultiplier:  { parse: parseFloat, valid: v => v > 0 },
+  volumeMultiplier: { parse: parseFloat, valid: v => v > 0 },
+  minLevelsSwept:   { parse: v => parseInt(v, 10), valid: v => Number.isInteger(v) && v >= 1 },
+  priceClusterSize: { parse: parseFloat, valid: v => v > 0 },
+};
+
+const DURATION_UNITS = { s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/** Екранує текст для parse_mode HTML */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Парсить тривалість виду 30m, 2h, 45s, 1d
+ * @param {string} text
+ * @returns {number|null} ms
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(text || '');
+  if (!match) return null;
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+class CommandService {
+  /**
+   * @param {import('./Bot')} bot
+   */
+  constructor(bot) {
+    this.bot = bot;
+    this.telegram = bot.alertService.getChannel('telegram').bot;
+    this.allowedChatIds = new Set(config.telegram.allowedChatIds.map(String));
+
+    this.handlers = {
+      '/help':    () => this._help(),
+      '/start':   () => this._help(),
+      '/status':  () => this._status(),
+      '/pending': () => this._pending(),
+      '/mute':    (args) => this._mute(args),
+      '/resume':  () => this._resume(),
+      '/set':     (args) => this._set(args),
+    };
+  }
+
+  /** Вмикає polling і обробку команд */
+  start() {
+    this.telegram.on('message', (msg) => this._onMessage(msg));
+    this.telegram.on('polling_error', (err) => {
+      logger.warn(`[CommandService] Polling помилка: ${err.message}`);
+    });
+    this.telegram.startPolling();
+    logger.info(`[CommandService] Команди увімкнено для чатів: ${Array.from(this.allowedChatIds).join(', ')}`);
+  }
+
+  /** Вимикає polling */
+  async stop() {
+    await this.telegram.stopPolling();
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  async _onMessage(msg) {
+    if (!msg.text || !msg.text.startsWith('/')) return;
+
+    const chatId = String(msg.chat.id);
+    if (!this.allowedChatIds.has(chatId)) {
+      logger.warn(`[CommandService] Команду з неавторизованого чату ${chatId} відхилено: ${msg.text}`);
+      return;
+    }
+
+    // /cmd@BotName arg1 arg2
+    const [rawCommand, ...args] = msg.text.trim().split(/\s+/);
+    const command = rawCommand.split('@')[0].toLowerCase();
+    const handler = this.handlers[command];
+
+    let reply;
+    try {
+      reply = handler ? handler(args) : `Невідома команда ${command}. /help — список команд`;
+    } catch (err) {
+      logger.error(`[CommandService] Помилка команди ${command}: ${err.message}`);
+      reply = `❌ Помилка: ${err.message}`;
+    }
+
+    logger.info(`[CommandService] ${chatId}: ${msg.text}`);
+
+    try {
+      await this.telegram.sendMessage(chatId, reply, { parse_mode: 'HTML' });
+    } catch (err) {
+      logger.error(`[CommandService] Помилка відповіді: ${err.message}`);
+    }
+  }
+
+  _help() {
+    return (
+      '<b>Команди:</b>\n' +
+      '/status — стан зʼєднань, свінги, статистика\n' +
+      '/pending — поточні кандидати\n' +
+      '/mute 30m — вимкнути алерти на час (s/m/h/d)\n' +
+      '/resume — увімкнути алерти\n' +
+      `/set &lt;param&gt; &lt;value&gt; [SYMBOL] — ${Object.keys(SETTABLE_PARAMS).join(', ')}`
+    );
+  }
+
+  _status() {
+    const ws = [this.bot.aggTradeWS, this.bot.klineWS].map(m =>
+      `${m.isConnected ? '🟢' : '🔴'} ${m.name}` +
+      (m.reconnectAttempts > 0 ? ` (спроб перепідключення: ${m.reconnectAttempts}${m.slowRecovery ? ', повільний режим' : ''})` : '')
+    );
+
+    const lines = ['📡 <b>Статус</b>', ...ws];
+
+    const health = this.bot.healthMonitor.getStatus();
+    if (health.healthy === false) {
+      lines.push(`⛔ Дані недостовірні, сигнали заблоковано: ${health.issues.map(escapeHtml).join('; ')}`);
+    }
+
+    const mutedUntil = this.bot.alertService.mutedUntil;
+    if (mutedUntil > Date.now()) {
+      lines.push(`🔇 Алерти вимкнено до ${new Date(mutedUntil).toUTCString()}`);
+    }
+
+    const policy = this.bot.alertService.policy.getStatus();
+    const cooldowns = policy.cooldowns
+      .map(c => `${c.key} ${Math.ceil(c.remainingMs / 60_000)}хв`)
+      .join(', ');
+    lines.push(`⏱ Алертів за годину: ${policy.lastHour}/${policy.maxPerHour} | cooldown: ${cooldowns || 'немає'}`);
+
+    const queue = this.bot.alertService.queue.getStatus();
+    const byChannel = Object.entries(queue.byChannel).map(([name, n]) => `${name} ${n}`).join(', ');
+    lines.push(
+      `📬 Черга: ${queue.depth}${byChannel ? ` (${byChannel})` : ''} | надіслано ${queue.sent} | ` +
+      `невдалих спроб ${queue.failedAttempts} | LATE ${queue.late} | відкинуто ${queue.dropped}` +
+      (queue.lastError ? `\n⚠️ Остання помилка: ${escapeHtml(queue.lastError)}` : '')
+    );
+
+    for (const pipeline of this.bot.pipelines.values()) {
+      const swings = pipeline.swingDetector.getStatus();
+      const stats = pipeline.absorptionDetector.stats;
+      const s = pipeline.settings;
+      const gaps = pipeline.footprintEngine.gapStats;
+
+      lines.push(
+        '━━━━━━━━━━━━━━━━━━━━━━━━',
+        `<b>${pipeline.symbol}</b>`,
+        ...Object.entries(swings.byTimeframe).flatMap(([tf, pool]) => [
+          `🔺 ${tf} Swing Highs: ${pool.swingHighs.join(', ') || 'n/a'}`,
+          `🔻 ${tf} Swing Lows: ${pool.swingLows.join(', ') || 'n/a'}`,
+        ]),
+        `⚖️ Equal highs: ${this._formatEqual(pipeline.swingDetector.getEqualHighs())} | ` +
+          `Equal lows: ${this._formatEqual(pipeline.swingDetector.getEqualLows())} ` +
+          `(допуск ${pipeline.swingDetector.getEqualTolerance().toFixed(2)})`,
+        `🏛 Key levels: ${pipeline.keyLevelDetector.getStatus().map(l => `${l.label} ${l.price}`).join(', ') || 'n/a'}`,
+        `📊 Avg vol: ${stats.avgVolume.toFixed(2)} | Avg |Δ|: ${stats.avgAbsDelta.toFixed(2)} | ` +
+          `Avg Δ: ${stats.avgDelta.toFixed(2)} (${stats.volumes.length}/${stats.windowSize}` +
+          `${stats.isReady ? '' : ', прогрів'})`,
+        `⚙️ Δ×${s.deltaMultiplier} | vol×${s.volumeMultiplier} | рівнів≥${s.minLevelsSwept} | кластер ${s.priceClusterSize}`,
+        `🧩 Розриви: ${gaps.gaps} (пропущено ${gaps.missingTrades} угод, довантажено ${gaps.recovered}) | дублікатів: ${gaps.duplicates}`,
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  _formatEqual(clusters) {
+    return clusters.map(c => `${c.count}×${c.from}–${c.to}`).join(', ') || 'n/a';
+  }
+
+  _pending() {
+    const lines = [];
+
+    for (const pipeline of this.bot.pipelines.values()) {
+      const detectors = [
+        ['Абсорбція', pipeline.absorptionDetector],
+        ['Виснаження', pipeline.exhaustionDetector],
+      ].filter(([, detector]) => detector.hasPending());
+
+      if (detectors.length === 0) {
+        lines.push(`<b>${pipeline.symbol}</b>: немає кандидата`);
+        continue;
+      }
+
+      for (const [label, detector] of detectors) {
+        const p = detector.pending;
+        const swept = p.sweptHighs || p.sweptLows;
+        lines.push(
+          `<b>${pipeline.symbol}</b> ${label}: ${p.state}\n` +
+          `  Рівні: ${swept.swept.map(s => s.price).join(', ')}\n` +
+          `  Sweep: ${p.sweepPrice} | POC: ${p.footprint.poc} | Δ: ${p.footprint.delta.toFixed(2)}\n` +
+          `  Свічка: ${new Date(p.candle.openTime).toUTCString()} | підтверджень: ${p.confirmCount}` +
+          (p.score ? `\n  Score: ${p.score.score} (${p.score.tier})` : '')
+        );
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  _mute(args) {
+    const duration = parseDuration(args[0]);
+    if (!duration) return 'Використання: /mute 30m (s, m, h, d)';
+
+    this.bot.alertService.mute(duration);
+    return `🔇 Алерти вимкнено до ${new Date(this.bot.alertService.mutedUntil).toUTCString()}`;
+  }
+
+  _resume() {
+    this.bot.alertService.resume();
+    return '🔔 Алерти увімкнено';
+  }
+
+  _set(args) {
+    const [param, rawValue, symbol] = args;
+    const spec = SETTABLE_PARAMS[param];
+    if (!spec || rawValue === undefined) {
+      return `Використання: /set &lt;param&gt; &lt;value&gt; [SYMBOL]\nПараметри: ${Object.keys(SETTABLE_PARAMS).join(', ')}`;
+    }
+
+    const value = spec.parse(rawValue);
+    if (Number.isNaN(value) || !spec.valid(value)) {
+      return `❌ Некоректне значення для ${param}: ${rawValue}`;
+    }
+
+    let pipelines = Array.from(this.bot.pipelines.values());
+    if (symbol) {
+      const pipeline = this.bot.getPipeline(symbol);
+      if (!pipeline) return `❌ Невідомий символ: ${symbol}`;
+      pipelines = [pipeline];
+    }
+
+    // Детектори читають settings при кожній перевірці — зміна діє одразу.
+    // Крок кластерів footprint фіксується на хвилину — новий діє з наступної 1m свічки
+    for (const pipeline of pipelines) {
+      pipeline.settings[param] = value;
+    }
+
+    const symbols = pipelines.map(p => p.symbol).join(', ');
+    const from = param === 'priceClusterSize' ? ', з наступної 1m свічки' : '';
+    logger.info(`[CommandService] ${param} = ${value} для ${symbols}${from}`);
+    return `✅ ${param} = ${value} (${symbols}${from})`;
+  }
+}
+
+module.exports = CommandService;
@@ -0,0 +1,180 @@
+/**
+ * services/DataHealthMonitor.js
+ * Здоровʼя вхідних даних: чи можна довіряти потокам для сигналів.
+ *
+ * Дані недостовірні, якщо хоч один потік:
+ *   - завис (примусовий розрив watchdog-ом WebSocketManager) і ще не перепідключився
+ *   - не зʼєднаний
+ *   - зʼєднаний, але ще не надіслав жодного повідомлення
+ * або якщо затримки kline і aggTrade (час отримання − час події E)
+ * розходяться більше ніж на config.health.maxClockSkewMs — один потік
+ * відстає від іншого, і свічка не збігається з угодами. Якщо розбіжність
+ * тримається довше skewResyncMs, відсталий потік перепідключається (resync).
+ *
+ * Події:
+ *   'unhealthy' (issues: string[], { initial }) — дані стали недостовірними
+ *   'healthy'   ({ downtimeMs, initial })       — дані знову в нормі
+ * initial — перша перевірка після старту (попереднього стану не було).
+ */
+
+const { EventEmitter } = require('events');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const healthyGauge = metrics.gauge('absorption_data_healthy', 'Дані потоків достовірні (1) чи сигнали заблоковано (0)');
+
+class DataHealthMonitor extends EventEmitter {
+  /**
+   * @param {import('./WebSocketManager')[]} streams
+   */
+  constructor(streams) {
+    super();
+    this.streams = streams;
+    this.maxClockSkewMs = config.health.maxClockSkewMs;
+    this.skewResyncMs = config.health.skewResyncMs;
+
+    // Початок поточної розбіжності годинників потоків
+    this.skewSince = null;
+
+    // null — ще не перевірялось
+    this.healthy = null;
+    this.issues = [];
+    this.unhealthySince = null;
+    this._timer = null;
+
+    // Причина останнього примусового розриву до наступного підключення: { [stream]: detail }
+    this.staleReasons = {};
+  }
+
+  start() {
+    // Розрив або зависання потоку — перевіряємо одразу, не чекаючи інтервалу
+    for (const stream of this.streams) {
+      stream.on('stale', ({ detail }) => {
+        this.staleReasons[stream.name] = detail;
+        if (this.healthy !== null) this.check();
+      });
+      stream.on('disconnected', () => {
+        if (this.healthy !== null) this.check();
+      });
+      stream.on('connected', () => {
+        delete this.staleReasons[stream.name];
+      });
+    }
+    this._timer = setInterval(() => this.check(), config.health.checkIntervalMs);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Перевіряє потоки і емітує подію при зміні стану
+   * @returns {boolean} чи дані достовірні
+   */
+  check() {
+    const issues = this._collectIssues();
+    this._resyncOnSkew();
+    const healthy = issues.length === 0;
+    const previous = this.healthy;
+
+    if (healthy === previous) {
+      if (!healthy && issues.join() !== this.issues.join()) {
+        logger.warn(`[DataHealth] Проблеми з даними: ${issues.join('; ')}`);
+      }
+      this.issues = issues;
+      return healthy;
+    }
+
+    this.healthy = healthy;
+    this.issues = issues;
+    healthyGauge.set({}, healthy ? 1 : 0);
+
+    if (!healthy) {
+      this.unhealthySince = Date.now();
+      logger.warn(`[DataHealth] ⛔ Дані недостовірні: ${issues.join('; ')}`);
+      this.emit('unhealthy', issues, { initial: previous === null });
+    } else {
+      const downtimeMs = this.unhealthySince !== null ? Date.now() - this.unhealthySince : 0;
+      this.unhealthySince = null;
+      logger.info(`[DataHealth] ✅ Дані в нормі${downtimeMs ? ` (недостовірні ${(downtimeMs / 1000).toFixed(0)}s)` : ''}`);
+      this.emit('healthy', { downtimeMs, initial: previous === null });
+    }
+    return healthy;
+  }
+
+  /**
+   * Стан для /status і /api/health
+   * @returns {{ healthy: boolean|null, issues: string[], unhealthySince: number|null, lagMs: Object }}
+   */
+  getStatus() {
+    return {
+      healthy: this.healthy,
+      issues: this.issues,
+      unhealthySince: this.unhealthySince,
+      lagMs: Object.fromEntries(this.streams.map(s => [s.name, s.lagMs])),
+    };
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _collectIssues() {
+    const issues = [];
+
+    for (const stream of this.streams) {
+      if (this.staleReasons[stream.name]) {
+        issues.push(`${stream.name}: потік завис (${this.staleReasons[stream.name]}), перепідключення`);
+      } else if (!stream.isConnected) {
+        issues.push(`${stream.name}: немає зʼєднання`);
+      } else if (stream.lastMessageAt === null) {
+        issues.push(`${stream.name}: немає даних після підключення`);
+      }
+    }
+    if (issues.length > 0) return issues;
+
+    const skew = this._skew();
+    if (skew) {
+      issues.push(
+        `${skew.lagging.name} відстає від ${skew.leading.name} на ${(skew.skewMs / 1000).toFixed(1)}s ` +
+        `(допуск ${(this.maxClockSkewMs / 1000).toFixed(1)}s)`
+      );
+    }
+
+    return issues;
+  }
+
+  /**
+   * Розбіжність затримок потоків понад допуск
+   * @returns {{ lagging, leading, skewMs }|null}
+   */
+  _skew() {
+    const lags = this.streams.filter(s => s.isConnected && s.lagMs !== null);
+    if (lags.length < 2) return null;
+
+    const leading = lags.reduce((a, b) => (a.lagMs <= b.lagMs ? a : b));
+    const lagging = lags.reduce((a, b) => (a.lagMs >= b.lagMs ? a : b));
+    const skewMs = lagging.lagMs - leading.lagMs;
+    return skewMs > this.maxClockSkewMs ? { lagging, leading, skewMs } : null;
+  }
+
+  /** Розбіжність довше skewResyncMs — перепідключаємо відсталий потік */
+  _resyncOnSkew() {
+    const skew = this._skew();
+    if (!skew) {
+      this.skewSince = null;
+      return;
+    }
+
+    const now = Date.now();
+    if (this.skewSince === null) this.skewSince = now;
+    if (now - this.skewSince < this.skewResyncMs) return;
+
+    this.skewSince = null;
+    skew.lagging.resync(`відстає від ${skew.leading.name} на ${(skew.skewMs / 1000).toFixed(1)}s`);
+  }
+}
+
+module.exports = DataHealthMonitor;
@@ -0,0 +1,308 @@
+/**
+ * services/HttpServer.js
+ * Опційний вбудований HTTP сервер (config.http) для інспекції бота без логів.
+ *
+ *   GET /                                  — дашборд: footprint ladder з рівнями свінгів
+ *   GET /api/health                        — потоки, здоровʼя даних, черга алертів, остання закрита свічка
+ *   GET /api/symbols                       — список символів
+ *   GET /api/symbols/:symbol/footprint     — footprint поточної 1m свічки (?openTime= — іншої)
+ *   GET /api/symbols/:symbol/candles       — закриті свічки (?tf=15m)
+ *   GET /api/symbols/:symbol/swings        — пули свінгів, equal highs/lows, ключові рівні
+ *   GET /api/symbols/:symbol/pending       — кандидати абсорбції та виснаження
+ *   GET /api/symbols/:symbol/stats         — ковзна статистика
+ *   GET /api/signals                       — останні сигнали (?limit=)
+ *   GET /api/events                        — server-sent events: signal, candle, footprint
+ *   GET /metrics                           — метрики у форматі Prometheus (utils/metrics)
+ *
+ * Лише читання; за замовчуванням слухає 127.0.0.1.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const DASHBOARD_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+const SSE_KEEPALIVE_MS = 15_000;
+
+// Знімки стану, що перераховуються при кожному запиті /metrics
+const swingPoolSize = metrics.gauge('absorption_swing_pool_size', 'Свінгів у пулі ліквідності', ['symbol', 'timeframe', 'side']);
+const keyLevelsCount = metrics.gauge('absorption_key_levels', 'Активних ключових рівнів', ['symbol', 'side']);
+const pendingGauge = metrics.gauge('absorption_pending_candidates', 'Непідтверджених кандидатів', ['symbol', 'pattern']);
+const queueDepth = metrics.gauge('absorption_alert_queue_depth', 'Повідомлень у черзі доставки', ['channel']);
+
+class HttpServer {
+  /**
+   * @param {import('./Bot')} bot
+   * @param {Object} [options] - за замовчуванням config.http
+   */
+  constructor(bot, options = config.http) {
+    this.bot = bot;
+    this.host = options.host;
+    this.port = options.port;
+    this.footprintIntervalMs = options.footprintIntervalMs;
+    this.maxSignals = options.recentSignals;
+
+    // Останні сигнали (події signalSchema), новіші в кінці
+    this.signals = [];
+
+    // Відкриті SSE відповіді
+    this.clients = new Set();
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.startedAt = Date.now();
+    this._timers = [];
+  }
+
+  /** Починає слухати порт і підписується на події бота */
+  start() {
+    this.bot.on('signal', (event) => {
+      this.signals.push(event);
+      if (this.signals.length > this.maxSignals) this.signals.shift();
+      this._broadcast('signal', event);
+    });
+
+    for (const pipeline of this.bot.pipelines.values()) {
+      pipeline.candleBuilder.on('1mClose', (candle) => {
+        this._broadcast('candle', { symbol: pipeline.symbol, timeframe: '1m', candle });
+      });
+      pipeline.candleBuilder.on('close', (timeframe, candle) => {
+        this._broadcast('candle', { symbol: pipeline.symbol, timeframe, candle });
+      });
+    }
+
+    // Footprint поточної хвилини — лише коли є хоч один підписник
+    this._timers.push(setInterval(() => {
+      if (this.clients.size === 0) return;
+      for (const pipeline of this.bot.pipelines.values()) {
+        const footprint = pipeline.footprintEngine.calculate(this._currentOpenTime(pipeline));
+        if (footprint) this._broadcast('footprint', { symbol: pipeline.symbol, footprint });
+      }
+    }, this.footprintIntervalMs));
+
+    this._timers.push(setInterval(() => {
+      for (const res of this.clients) res.write(': keepalive\n\n');
+    }, SSE_KEEPALIVE_MS));
+
+    this.server.listen(this.port, this.host, () => {
+      logger.info(`[HttpServer] API і дашборд: http://${this.host}:${this.port}/`);
+    });
+    this.server.on('error', (err) => {
+      logger.error(`[HttpServer] Помилка сервера: ${err.message}`);
+    });
+  }
+
+  /** Закриває SSE зʼєднання і сервер */
+  stop() {
+    for (const timer of this._timers) clearInterval(timer);
+    this._timers = [];
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // ─── Маршрути ───────────────────────────────────────────────────────────────
+
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return this._json(res, 405, { error: 'Method not allowed' });
+
+    try {
+      if (url.pathname === '/') return this._dashboard(res);
+      if (url.pathname === '/api/health') return this._health(res);
+      if (url.pathname === '/api/symbols') {
+        return this._json(res, 200, Array.from(this.bot.pipelines.values()).map(p => p.symbol));
+      }
+      if (url.pathname === '/api/signals') return this._recentSignals(res, url);
+      if (url.pathname === '/api/events') return this._events(req, res);
+      if (url.pathname === '/metrics') return this._metrics(res);
+
+      const match = /^\/api\/symbols\/([^/]+)\/([a-z]+)$/.exec(url.pathname);
+      if (match) {
+        const pipeline = this.bot.getPipeline(match[1]);
+        if (!pipeline) return this._json(res, 404, { error: `Невідомий символ: ${match[1]}` });
+
+        const routes = {
+          footprint: () => this._footprint(res, pipeline, url),
+          candles:   () => this._candles(res, pipeline, url),
+          swings:    () => this._swings(res, pipeline),
+          pending:   () => this._pending(res, pipeline),
+          stats:     () => this._stats(res, pipeline),
+        };
+        if (routes[match[2]]) return routes[match[2]]();
+      }
+
+      return this._json(res, 404, { error: 'Not found' });
+    } catch (err) {
+      logger.error(`[HttpServer] ${req.url}: ${err.message}`);
+      return this._json(res, 500, { error: err.message });
+    }
+  }
+
+  _dashboard(res) {
+    fs.readFile(DASHBOARD_FILE, (err, html) => {
+      if (err) return this._json(res, 500, { error: err.message });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    });
+  }
+
+  _health(res) {
+    const streams = [this.bot.aggTradeWS, this.bot.klineWS].map(m => ({
+      name: m.name,
+      connected: m.isConnected,
+      reconnectAttempts: m.reconnectAttempts,
+      slowRecovery: m.slowRecovery,
+      disconnectedAt: m.disconnectedAt,
+    }));
+    const data = this.bot.healthMonitor.getStatus();
+    const healthy = streams.every(s => s.connected) && data.healthy !== false;
+
+    this._json(res, healthy ? 200 : 503, {
+      status: healthy ? 'ok' : 'degraded',
+      uptimeSec: Math.round((Date.now() - this.startedAt) / 1000),
+      streams,
+      data,
+      alertQueue: this.bot.alertService.queue ? this.bot.alertService.queue.getStatus() : null,
+      symbols: Array.from(this.bot.pipelines.values()).map(p => ({
+        symbol: p.symbol,
+        lastClosed1m: p.candleBuilder.lastClosed1mOpenTime,
+      })),
+    });
+  }
+
+  _footprint(res, pipeline, url) {
+    const openTime = url.searchParams.has('openTime')
+      ? parseInt(url.searchParams.get('openTime'), 10)
+      : this._currentOpenTime(pipeline);
+
+    const footprint = pipeline.footprintEngine.calculate(openTime);
+    if (!footprint) return this._json(res, 404, { error: `Немає угод для ${openTime}` });
+    this._json(res, 200, footprint);
+  }
+
+  _candles(res, pipeline, url) {
+    const tf = url.searchParams.get('tf') || '15m';
+    if (!pipeline.candleBuilder.frames[tf]) {
+      return this._json(res, 400, { error: `Таймфрейм ${tf} не будується (${pipeline.candleBuilder.timeframes.join(', ')})` });
+    }
+    this._json(res, 200, pipeline.candleBuilder.getClosed(tf));
+  }
+
+  _swings(res, pipeline) {
+    const swings = pipeline.swingDetector;
+    this._json(res, 200, {
+      pools: swings.getState().pools,
+      equalHighs: swings.getEqualHighs(),
+      equalLows: swings.getEqualLows(),
+      equalTolerance: swings.getEqualTolerance(),
+      keyLevels: pipeline.keyLevelDetector.getStatus(),
+    });
+  }
+
+  _pending(res, pipeline) {
+    const describe = (detector) => {
+      if (!detector.hasPending()) return null;
+      const p = detector.pending;
+      const swept = p.sweptHighs || p.sweptLows;
+      return {
+        state: p.state,
+        candle: p.candle,
+        sweepPrice: p.sweepPrice,
+        sweptLevels: swept.swept.map(s => s.price),
+        confirmCount: p.confirmCount,
+        score: p.score || null,
+        footprint: { poc: p.footprint.poc, delta: p.footprint.delta, totalVolume: p.footprint.totalVolume },
+      };
+    };
+
+    this._json(res, 200, {
+      absorption: describe(pipeline.absorptionDetector),
+      exhaustion: describe(pipeline.exhaustionDetector),
+    });
+  }
+
+  _stats(res, pipeline) {
+    const stats = pipeline.absorptionDetector.stats;
+    this._json(res, 200, {
+      avgVolume: stats.avgVolume,
+      avgAbsDelta: stats.avgAbsDelta,
+      avgDelta: stats.avgDelta,
+      samples: stats.volumes.length,
+      windowSize: stats.windowSize,
+      isReady: stats.isReady,
+    });
+  }
+
+  _recentSignals(res, url) {
+    const limit = parseInt(url.searchParams.get('limit'), 10) || this.maxSignals;
+    this._json(res, 200, this.signals.slice(-limit).reverse());
+  }
+
+  _events(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  _metrics(res) {
+    swingPoolSize.reset();
+    keyLevelsCount.reset();
+    pendingGauge.reset();
+    queueDepth.reset();
+
+    for (const pipeline of this.bot.pipelines.values()) {
+      const symbol = pipeline.symbol;
+      for (const [timeframe, pool] of Object.entries(pipeline.swingDetector.pools)) {
+        swingPoolSize.set({ symbol, timeframe, side: 'high' }, pool.highs.length);
+        swingPoolSize.set({ symbol, timeframe, side: 'low' }, pool.lows.length);
+      }
+      const levels = pipeline.keyLevelDetector.getStatus();
+      keyLevelsCount.set({ symbol, side: 'high' }, levels.filter(l => l.side === 'high').length);
+      keyLevelsCount.set({ symbol, side: 'low' }, levels.filter(l => l.side === 'low').length);
+      pendingGauge.set({ symbol, pattern: 'absorption' }, pipeline.absorptionDetector.hasPending() ? 1 : 0);
+      pendingGauge.set({ symbol, pattern: 'exhaustion' }, pipeline.exhaustionDetector.hasPending() ? 1 : 0);
+    }
+
+    const queue = this.bot.alertService.queue;
+    if (queue) {
+      const { byChannel } = queue.getStatus();
+      for (const name of queue.channels.keys()) {
+        queueDepth.set({ channel: name }, byChannel[name] || 0);
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.render());
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _broadcast(event, data) {
+    if (this.clients.size === 0) return;
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of this.clients) res.write(message);
+  }
+
+  /** openTime поточної 1m свічки: з kline потоку, інакше за годинником */
+  _currentOpenTime(pipeline) {
+    const current = pipeline.candleBuilder.getCurrentCandle();
+    if (current && !current.isClosed) return current.openTime;
+    return Math.floor(Date.now() / 60_000) * 60_000;
+  }
+
+  _json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = HttpServer;
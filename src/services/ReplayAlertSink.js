@@ -0,0 +1,116 @@
+/**
+ * services/ReplayAlertSink.js
+ * Замінник AlertService для replay режиму — пише кожен підтверджений сигнал
+ * у NDJSON файл замість Telegram. Cooldown і дедублікація не застосовуються:
+ * для оцінки порогів потрібен повний список сигналів — тому пишуться і сигнали
+ * з tier=silent (score нижче порогу алерту), які наживо лише логуються.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class ReplayAlertSink {
+  /**
+   * @param {string} outFile - шлях до файлу результатів
+   */
+  constructor(outFile) {
+    this.outFile = outFile;
+
+    const dir = path.dirname(outFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    this.stream = fs.createWriteStream(outFile, { flags: 'w' });
+
+    // silent — скільки з них мають tier=silent
+    this.counts = { SHORT: 0, LONG: 0, EXHAUSTION_SHORT: 0, EXHAUSTION_LONG: 0, silent: 0 };
+  }
+
+  async sendShortAlert(data) {
+    return this._write('SHORT', data);
+  }
+
+  async sendLongAlert(data) {
+    return this._write('LONG', data);
+  }
+
+  async sendExhaustionAlert(direction, data) {
+    return this._write(`EXHAUSTION_${direction}`, data);
+  }
+
+  /**
+   * Сигнал нижче порогу алерту: наживо не надсилається, але в результати replay потрапляє
+   * @param {'SHORT'|'LONG'} direction
+   * @param {Object} data
+   */
+  async recordSilentSignal(direction, data) {
+    this._write(data.pattern === 'exhaustion' ? `EXHAUSTION_${direction}` : direction, data);
+  }
+
+  async sendStatus(text) {
+    logger.debug(`[ReplayAlertSink] Статус (не надсилається): ${text.substring(0, 50)}...`);
+  }
+
+  /**
+   * Закриває файл результатів
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _write(type, data) {
+    const record = {
+      symbol:         data.symbol,
+      type,
+      time:           new Date(data.candle.openTime).toISOString(),
+      candleOpenTime: data.candle.openTime,
+      sweptLevels:    data.sweptLevels,
+      sweptCount:     data.sweptCount,
+      sweptWeight:    data.sweptWeight,
+      sweptTimeframes: data.sweptTimeframes,
+      keyLevels:      data.keyLevels,
+      equalClusters:  data.equalClusters,
+      swingLevel:     data.swingLevel,
+      sweepPrice:     data.sweepPrice,
+      delta:          data.delta,
+      totalVolume:    data.totalVolume,
+      avgVolume:      data.avgVolume,
+      avgAbsDelta:    data.avgAbsDelta,
+      volumeMultiple: data.volumeMultiple,
+      deltaMultiple:  data.deltaMultiple,
+      poc:            data.poc,
+      confirmedBy:    data.confirmedBy,
+      confirmCandles: data.confirmCandles,
+      score:          data.score,
+      tier:           data.tier,
+      scoreComponents: data.scoreComponents,
+      valueAreaHigh:  data.valueAreaHigh,
+      valueAreaLow:   data.valueAreaLow,
+      stackedImbalances: data.stackedImbalances,
+      unfinishedAuction: data.unfinishedAuction,
+      candleClose:    data.candleClose,
+      candle: {
+        open:  data.candle.open,
+        high:  data.candle.high,
+        low:   data.candle.low,
+        close: data.candle.close,
+      },
+    };
+
+    this.stream.write(JSON.stringify(record) + '\n');
+    this.counts[type]++;
+    if (data.tier === 'silent') this.counts.silent++;
+
+    logger.info(
+      `[ReplayAlertSink] ${data.symbol} ${type} сигнал записано: ${record.time}, swing ${data.swingLevel}` +
+      (data.tier ? `, tier ${data.tier}` : '')
+    );
+    return true;
+  }
+}
+
+module.exports = ReplayAlertSink;
@@ -0,0 +1,169 @@
+/**
+ * services/ReplayRunner.js
+ * Прогоняє записані aggTrade і kline_1m повідомлення через той самий конвеєр,
+ * що й live бот (Bot → CandleBuilder → FootprintEngine → детектори).
+ *
+ * Вхід — NDJSON файли (можна .gz), одне повідомлення на рядок: сире
+ * Binance повідомлення, обгортка combined stream { stream, data } або рядок
+ * StreamRecorder { receivedAt, stream, data: <обгортка combined stream> }.
+ * Файли зливаються за часом події, тож aggTrade і kline можуть лежати окремо.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const Bot = require('./Bot');
+const ReplayAlertSink = require('./ReplayAlertSink');
+const SignalPublisher = require('./SignalPublisher');
+const logger = require('../utils/logger');
+
+class ReplayRunner {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.files - файли з записаними повідомленнями
+   * @param {string} options.outFile - файл для підтверджених сигналів
+   */
+  constructor({ files, outFile }) {
+    this.files = files;
+    this.sink = new ReplayAlertSink(outFile);
+
+    // Результати і події сигналів (signalSchema) — поруч із файлом сигналів,
+    // перезаписуються при кожному прогоні; socket / webhook у replay не використовуються
+    const base = outFile.replace(/\.ndjson$/, '');
+    const outcomeFile = `${base}.outcomes.ndjson`;
+    const journalFile = `${base}.signals.ndjson`;
+    fs.rmSync(outcomeFile, { force: true });
+    fs.rmSync(journalFile, { force: true });
+    this.bot = new Bot({
+      alertService: this.sink,
+      outcomeFile,
+      rest: null,
+      signalPublisher: new SignalPublisher({ journalFile }),
+    });
+
+    this.stats = { trades: 0, klines: 0, candles: 0, skipped: 0 };
+  }
+
+  /**
+   * Запускає replay до кінця всіх файлів
+   * @returns {Promise<Object>} підсумок прогону
+   */
+  async run() {
+    const startedAt = Date.now();
+    logger.info(`[Replay] Старт: ${this.files.join(', ')}`);
+
+    const sources = await Promise.all(this.files.map(f => this._openSource(f)));
+
+    // Злиття за часом події: щоразу беремо найраніше повідомлення серед усіх джерел
+    for (;;) {
+      let next = null;
+      for (const src of sources) {
+        if (src.head && (!next || this._isEarlier(src.head, next.head))) {
+          next = src;
+        }
+      }
+      if (!next) break;
+
+      await this._dispatch(next.head.msg);
+      await this._advance(next);
+    }
+
+    await this.bot.whenIdle();
+    await this.sink.close();
+
+    const summary = {
+      ...this.stats,
+      signals: { ...this.sink.counts },
+      outcomes: Object.fromEntries(
+        Array.from(this.bot.pipelines.values()).map(p => [p.symbol, p.outcomeTracker.getStats()])
+      ),
+      outFile: this.sink.outFile,
+      elapsedMs: Date.now() - startedAt,
+    };
+
+    logger.info(
+      `[Replay] Завершено за ${summary.elapsedMs}ms | ` +
+      `trades=${summary.trades}, klines=${summary.klines}, 1m свічок=${summary.candles} | ` +
+      `SHORT=${summary.signals.SHORT}, LONG=${summary.signals.LONG}, ` +
+      `exhaustion SHORT=${summary.signals.EXHAUSTION_SHORT}, LONG=${summary.signals.EXHAUSTION_LONG} ` +
+      `(з них silent=${summary.signals.silent}) → ${summary.outFile}`
+    );
+    return summary;
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  async _dispatch(msg) {
+    if (msg.e === 'aggTrade') {
+      this.stats.trades++;
+      this.bot.handleTrade(msg);
+    } else if (msg.e === 'kline') {
+      this.stats.klines++;
+      this.bot.handleKline(msg);
+      if (msg.k.x) {
+        this.stats.candles++;
+        // Чекаємо обробку свічки — так прогін детермінований і не накопичує черги
+        await this.bot.whenIdle();
+      }
+    }
+  }
+
+  async _openSource(file) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity })[Symbol.asyncIterator]();
+    const src = { file, lines, head: null };
+    await this._advance(src);
+    return src;
+  }
+
+  async _advance(src) {
+    for (;;) {
+      const { value, done } = await src.lines.next();
+      if (done) {
+        src.head = null;
+        return;
+      }
+
+      const msg = this._parseLine(value);
+      if (msg) {
+        src.head = { msg, time: this._eventTime(msg) };
+        return;
+      }
+    }
+  }
+
+  _parseLine(line) {
+    if (!line.trim()) return null;
+
+    try {
+      // Розгортаємо обгортки (StreamRecorder → combined stream) до самої події
+      let msg = JSON.parse(line);
+      while (msg && !msg.e && msg.data) msg = msg.data;
+      if (msg && (msg.e === 'aggTrade' || msg.e === 'kline')) return msg;
+    } catch (err) {
+      logger.debug(`[Replay] Пропущено невалідний рядок: ${err.message}`);
+    }
+
+    this.stats.skipped++;
+    return null;
+  }
+
+  /**
+   * Час події для злиття: угоди — за часом угоди, kline — за часом повідомлення
+   */
+  _eventTime(msg) {
+    return msg.e === 'aggTrade' ? msg.T : msg.E;
+  }
+
+  _isEarlier(a, b) {
+    if (a.time !== b.time) return a.time < b.time;
+    // При рівному часі угоди йдуть раніше закриття свічки
+    return a.msg.e === 'aggTrade' && b.msg.e !== 'aggTrade';
+  }
+}
+
+module.exports = ReplayRunner;
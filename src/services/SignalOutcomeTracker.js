@@ -0,0 +1,334 @@
+/**
+ * services/SignalOutcomeTracker.js
+ * Оцінює кожен підтверджений сигнал за подальшим рухом ціни.
+ *
+ * Для кожного сигналу протягом horizonMinutes 1m свічок рахуємо:
+ *   - MFE / MAE (макс. сприятливий / несприятливий рух) у ціні та в R
+ *   - що спрацювало раніше: кожна R-ціль чи стоп за sweepPrice
+ * 1R = відстань від входу (close свічки підтвердження) до стопу.
+ * Якщо в одній свічці зачеплено і ціль, і стоп — рахуємо стоп (консервативно).
+ *
+ * Результати пишуться в NDJSON, статистика ведеться окремо для надісланих
+ * алертів (alerted) і сигналів без алерту (unsent: tier=silent, утримані
+ * політикою чи mute) — по напрямку, по патерну (absorption / exhaustion)
+ * з напрямком і по sweptCount. Статистика і сигнали, що ще відстежуються,
+ * зберігаються в StateStore разом зі станом символу.
+ *
+ * При зміні доби (UTC, за часом свічок) емітується 'dailySummary'
+ * ({ symbol, day, text }) — Bot збирає підсумки всіх символів в один статус.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+class SignalOutcomeTracker extends EventEmitter {
+  /**
+   * @param {Object} [options] - за замовчуванням config.outcome (+ symbol)
+   */
+  constructor(options = config.outcome) {
+    super();
+    this.symbol = options.symbol || '';
+    this.tag = this.symbol ? `[OutcomeTracker ${this.symbol}]` : '[OutcomeTracker]';
+    this.horizonMinutes = options.horizonMinutes;
+    this.rTargets = options.rTargets.slice().sort((a, b) => a - b);
+    this.stopBufferPct = options.stopBufferPct;
+    this.dailySummary = options.dailySummary;
+    this.file = options.file;
+
+    // Сигнали, що ще відстежуються
+    this.active = [];
+
+    // Накопичена статистика за весь час і за поточну добу
+    this.totals = this._emptyStats();
+    this.daily = this._emptyStats();
+    this.currentDay = null;
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+  }
+
+  /**
+   * Починає відстеження підтвердженого сигналу
+   * @param {'SHORT'|'LONG'} type
+   * @param {Object} data - payload з AbsorptionDetector/ExhaustionDetector._buildResult
+   * @param {Object} entryCandle - 1m свічка, на якій сигнал підтверджено
+   * @param {boolean} alerted - чи був надісланий алерт
+   */
+  track(type, data, entryCandle, alerted) {
+    const entry = entryCandle.close;
+    const buffer = data.sweepPrice * this.stopBufferPct / 100;
+    const stop = type === 'SHORT' ? data.sweepPrice + buffer : data.sweepPrice - buffer;
+    const risk = Math.abs(entry - stop);
+
+    if (risk === 0) {
+      logger.warn(`${this.tag} ${type} пропущено: нульовий ризик (entry=${entry}, stop=${stop})`);
+      return;
+    }
+
+    const dir = type === 'SHORT' ? -1 : 1;
+    this.active.push({
+      type,
+      pattern:      data.pattern || 'absorption',
+      sweptCount:   data.sweptCount,
+      signalTime:   data.candle.openTime,
+      entryTime:    entryCandle.openTime,
+      entry,
+      stop,
+      risk,
+      alerted,
+      targets:      this.rTargets.map(r => ({ r, price: entry + dir * r * risk, result: null })),
+      stopHitAt:    null,
+      mfe:          0,
+      mae:          0,
+      candlesSeen:  0,
+    });
+
+    logger.info(
+      `${this.tag} Відстежуємо ${type}: entry=${entry}, stop=${stop.toFixed(2)}, ` +
+      `1R=${risk.toFixed(2)}, горизонт ${this.horizonMinutes}m`
+    );
+  }
+
+  /**
+   * Оновлює активні сигнали закритою 1m свічкою і емітує добовий підсумок
+   * при зміні доби.
+   * @param {Object} candle - закрита 1m свічка
+   */
+  async onCandle(candle) {
+    const finished = [];
+
+    for (const sig of this.active) {
+      if (candle.openTime <= sig.entryTime) continue;
+      this._update(sig, candle);
+      if (sig.candlesSeen >= this.horizonMinutes) finished.push(sig);
+    }
+
+    for (const sig of finished) {
+      this._finalize(sig);
+    }
+    if (finished.length > 0) {
+      this.active = this.active.filter(s => !finished.includes(s));
+    }
+
+    const day = new Date(candle.openTime).toISOString().slice(0, 10);
+    if (this.currentDay && day !== this.currentDay && this.dailySummary) {
+      this.emit('dailySummary', { symbol: this.symbol, day: this.currentDay, text: this.formatSummary() });
+      this.daily = this._emptyStats();
+    }
+    this.currentDay = day;
+  }
+
+  /**
+   * Поточна статистика (для логів/статусу)
+   */
+  getStats() {
+    return {
+      active: this.active.length,
+      totals: this.totals,
+      daily:  this.daily,
+    };
+  }
+
+  /**
+   * Серіалізований стан (для StateStore)
+   */
+  getState() {
+    return {
+      active:     this.active,
+      totals:     this.totals,
+      daily:      this.daily,
+      currentDay: this.currentDay,
+    };
+  }
+
+  /**
+   * @param {{ active, totals, daily, currentDay }} state
+   */
+  restoreState(state) {
+    this.active = state.active || [];
+    this.totals = this._restoreStats(state.totals);
+    this.daily = this._restoreStats(state.daily);
+    this.currentDay = state.currentDay || null;
+  }
+
+  /**
+   * HTML підсумок символу для добового статусу (Bot додає заголовок з датою).
+   * Win rate — лише для надісланих алертів; сигнали без алерту — окремим рядком.
+   */
+  formatSummary() {
+    const lines = [
+      `<b>${this.symbol}</b>`,
+      `<b>За добу (алерти):</b>`,
+      ...this._formatStats(this.daily.alerted),
+      `<b>Весь час (алерти):</b>`,
+      ...this._formatStats(this.totals.alerted),
+    ];
+
+    const bySwept = Object.keys(this.totals.alerted.bySweptCount).sort((a, b) => a - b);
+    if (bySwept.length > 0) {
+      lines.push(`<b>За кількістю знятих рівнів (алерти):</b>`);
+      for (const count of bySwept) {
+        lines.push(`  ${count} рівнів: ${this._formatBucket(this.totals.alerted.bySweptCount[count])}`);
+      }
+    }
+
+    lines.push(
+      `<b>За добу без алерту (silent, утримані):</b>`,
+      ...['SHORT', 'LONG'].map(type => `  ${type}: ${this._formatBucket(this.daily.unsent.byType[type])}`),
+      `⏳ Ще відстежується: ${this.active.length}`,
+    );
+    return lines.join('\n');
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _update(sig, candle) {
+    sig.candlesSeen++;
+
+    // Сприятливий/несприятливий рух від входу
+    const favorable = sig.type === 'SHORT' ? sig.entry - candle.low : candle.high - sig.entry;
+    const adverse   = sig.type === 'SHORT' ? candle.high - sig.entry : sig.entry - candle.low;
+    sig.mfe = Math.max(sig.mfe, favorable);
+    sig.mae = Math.max(sig.mae, adverse);
+
+    if (sig.stopHitAt !== null) return;
+
+    const stopHit = sig.type === 'SHORT' ? candle.high >= sig.stop : candle.low <= sig.stop;
+
+    for (const t of sig.targets) {
+      if (t.result) continue;
+      const targetHit = sig.type === 'SHORT' ? candle.low <= t.price : candle.high >= t.price;
+      if (stopHit) {
+        t.result = 'stop';
+      } else if (targetHit) {
+        t.result = 'target';
+      }
+    }
+
+    if (stopHit) sig.stopHitAt = candle.openTime;
+  }
+
+  _finalize(sig) {
+    for (const t of sig.targets) {
+      if (!t.result) t.result = 'open';
+    }
+
+    const outcome = {
+      symbol:      this.symbol,
+      type:        sig.type,
+      pattern:     sig.pattern,
+      sweptCount:  sig.sweptCount,
+      signalTime:  new Date(sig.signalTime).toISOString(),
+      entryTime:   new Date(sig.entryTime).toISOString(),
+      entry:       sig.entry,
+      stop:        sig.stop,
+      risk:        sig.risk,
+      alerted:     sig.alerted,
+      mfe:         sig.mfe,
+      mae:         sig.mae,
+      mfeR:        sig.mfe / sig.risk,
+      maeR:        sig.mae / sig.risk,
+      stopHit:     sig.stopHitAt !== null,
+      targets:     sig.targets.map(t => ({ r: t.r, price: t.price, result: t.result })),
+    };
+
+    this._addToStats(this.totals, outcome);
+    this._addToStats(this.daily, outcome);
+
+    if (this.file) {
+      try {
+        fs.appendFileSync(this.file, JSON.stringify(outcome) + '\n');
+      } catch (err) {
+        logger.error(`${this.tag} Помилка запису ${this.file}: ${err.message}`);
+      }
+    }
+
+    logger.info(
+      `${this.tag} ${sig.type} завершено: MFE=${outcome.mfeR.toFixed(2)}R, MAE=${outcome.maeR.toFixed(2)}R | ` +
+      outcome.targets.map(t => `${t.r}R=${t.result}`).join(', ')
+    );
+  }
+
+  _addToStats(stats, outcome) {
+    const group = outcome.alerted ? stats.alerted : stats.unsent;
+    this._addToBucket(group.byType[outcome.type], outcome);
+
+    if (!group.byPattern[outcome.pattern]) {
+      group.byPattern[outcome.pattern] = { SHORT: this._emptyBucket(), LONG: this._emptyBucket() };
+    }
+    this._addToBucket(group.byPattern[outcome.pattern][outcome.type], outcome);
+
+    if (!group.bySweptCount[outcome.sweptCount]) {
+      group.bySweptCount[outcome.sweptCount] = this._emptyBucket();
+    }
+    this._addToBucket(group.bySweptCount[outcome.sweptCount], outcome);
+  }
+
+  _addToBucket(bucket, outcome) {
+    bucket.count++;
+    bucket.sumMfeR += outcome.mfeR;
+    bucket.sumMaeR += outcome.maeR;
+    for (const t of outcome.targets) {
+      if (!bucket.targets[t.r]) bucket.targets[t.r] = { target: 0, stop: 0, open: 0 };
+      bucket.targets[t.r][t.result]++;
+    }
+  }
+
+  _formatStats(stats) {
+    const lines = ['SHORT', 'LONG'].map(type => `  ${type}: ${this._formatBucket(stats.byType[type])}`);
+
+    for (const pattern of Object.keys(stats.byPattern).sort()) {
+      for (const type of ['SHORT', 'LONG']) {
+        const bucket = stats.byPattern[pattern][type];
+        if (bucket.count > 0) lines.push(`    ${pattern} ${type}: ${this._formatBucket(bucket)}`);
+      }
+    }
+    return lines;
+  }
+
+  _formatBucket(bucket) {
+    if (bucket.count === 0) return 'немає сигналів';
+
+    // Win rate = частка цілей, досягнутих раніше стопу, серед вирішених
+    const rates = Object.keys(bucket.targets)
+      .sort((a, b) => a - b)
+      .map((r) => {
+        const t = bucket.targets[r];
+        const resolved = t.target + t.stop;
+        return resolved > 0 ? `${r}R ${((t.target / resolved) * 100).toFixed(0)}%` : `${r}R n/a`;
+      });
+
+    return (
+      `${bucket.count} сигн. | ${rates.join(', ')} | ` +
+      `MFE ${(bucket.sumMfeR / bucket.count).toFixed(2)}R, MAE ${(bucket.sumMaeR / bucket.count).toFixed(2)}R`
+    );
+  }
+
+  /** Статистика окремо для надісланих алертів і сигналів без алерту */
+  _emptyStats() {
+    return { alerted: this._emptyGroup(), unsent: this._emptyGroup() };
+  }
+
+  _emptyGroup() {
+    return {
+      byType: { SHORT: this._emptyBucket(), LONG: this._emptyBucket() },
+      byPattern: {},
+      bySweptCount: {},
+    };
+  }
+
+  /** Стан без поділу alerted / unsent (старіший формат) не відновлюємо */
+  _restoreStats(stats) {
+    return stats && stats.alerted && stats.unsent ? stats : this._emptyStats();
+  }
+
+  _emptyBucket() {
+    return { count: 0, sumMfeR: 0, sumMaeR: 0, targets: {} };
+  }
+}
+
+module.exports = SignalOutcomeTracker;
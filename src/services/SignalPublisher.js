@@ -0,0 +1,105 @@
+/**
+ * services/SignalPublisher.js
+ * Доставка машиночитних подій сигналів (utils/signalSchema):
+ *   - NDJSON журнал на диску — кожен підтверджений сигнал, один рядок на подію;
+ *   - локальний socket (unix шлях або host:port) — той самий NDJSON рядок;
+ *   - webhook — POST події як JSON.
+ *
+ * Socket і webhook — best effort: помилка логується, журнал лишається джерелом правди.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+class SignalPublisher {
+  /**
+   * @param {Object} [options] - за замовчуванням config.signals
+   * @param {string} [options.journalFile] - NDJSON журнал; порожньо — без журналу
+   * @param {string} [options.socket] - /path/to.sock або host:port
+   * @param {string} [options.webhookUrl]
+   * @param {number} [options.timeoutMs] - таймаут webhook
+   */
+  constructor(options = config.signals) {
+    this.journalFile = options.journalFile || null;
+    this.socketTarget = options.socket || null;
+    this.webhookUrl = options.webhookUrl || null;
+    this.timeoutMs = options.timeoutMs;
+
+    // Поточне socket зʼєднання; перепідключення — при наступній події
+    this.socket = null;
+
+    if (this.journalFile) {
+      fs.mkdirSync(path.dirname(this.journalFile), { recursive: true });
+    }
+  }
+
+  /**
+   * Записує подію в журнал і пушить у socket / webhook
+   * @param {Object} event - подія за схемою signalSchema
+   */
+  async publish(event) {
+    const line = JSON.stringify(event) + '\n';
+
+    if (this.journalFile) {
+      try {
+        fs.appendFileSync(this.journalFile, line);
+      } catch (err) {
+        logger.error(`[SignalPublisher] Помилка запису ${this.journalFile}: ${err.message}`);
+      }
+    }
+
+    if (this.socketTarget) {
+      this._writeSocket(line);
+    }
+
+    if (this.webhookUrl) {
+      try {
+        const res = await fetch(this.webhookUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: line,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } catch (err) {
+        logger.warn(`[SignalPublisher] Webhook ${event.id} не доставлено: ${err.message}`);
+      }
+    }
+  }
+
+  /** Закриває socket зʼєднання */
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _writeSocket(line) {
+    if (!this.socket) {
+      // host:port → TCP, інакше — шлях unix socket
+      const match = /^([^/:]+):(\d+)$/.exec(this.socketTarget);
+      const socket = match
+        ? net.createConnection({ host: match[1], port: parseInt(match[2], 10) })
+        : net.createConnection({ path: this.socketTarget });
+
+      socket.on('error', (err) => {
+        logger.warn(`[SignalPublisher] Socket ${this.socketTarget}: ${err.message}`);
+      });
+      socket.on('close', () => {
+        if (this.socket === socket) this.socket = null;
+      });
+      this.socket = socket;
+    }
+
+    // До встановлення зʼєднання net буферизує запис
+    this.socket.write(line);
+  }
+}
+
+module.exports = SignalPublisher;
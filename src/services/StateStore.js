@@ -0,0 +1,79 @@
+/**
+ * services/StateStore.js
+ * Зберігає знімок стану бота в локальний JSON файл і читає його при старті.
+ * Запис атомарний (тимчасовий файл + rename), щоб падіння посеред запису
+ * не залишило зіпсований знімок.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const STATE_VERSION = 2;
+
+class StateStore {
+  /**
+   * @param {Object} [options] - за замовчуванням config.state
+   */
+  constructor(options = config.state) {
+    this.file = options.file;
+    this.maxAgeMs = options.maxAgeMinutes * 60 * 1000;
+  }
+
+  /**
+   * Записує знімок
+   * @param {Object} state - довільний серіалізований стан
+   */
+  save(state) {
+    const snapshot = { version: STATE_VERSION, savedAt: Date.now(), state };
+    const tmpFile = `${this.file}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify(snapshot));
+      fs.renameSync(tmpFile, this.file);
+      logger.debug(`[StateStore] Стан збережено → ${this.file}`);
+    } catch (err) {
+      logger.error(`[StateStore] Помилка збереження стану: ${err.message}`);
+    }
+  }
+
+  /**
+   * Читає знімок, якщо він існує, валідний і не старший за maxAgeMinutes
+   * @returns {Object|null} збережений стан
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      logger.info('[StateStore] Збереженого стану немає — старт з нуля');
+      return null;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      logger.warn(`[StateStore] Не вдалося прочитати ${this.file}: ${err.message}`);
+      return null;
+    }
+
+    if (snapshot.version !== STATE_VERSION) {
+      logger.warn(`[StateStore] Версія стану ${snapshot.version} не підтримується — ігноруємо`);
+      return null;
+    }
+
+    const ageMs = Date.now() - snapshot.savedAt;
+    if (ageMs > this.maxAgeMs) {
+      logger.info(
+        `[StateStore] Стан застарів (${(ageMs / 60_000).toFixed(0)} хв > ` +
+        `${(this.maxAgeMs / 60_000).toFixed(0)} хв) — ігноруємо`
+      );
+      return null;
+    }
+
+    logger.info(`[StateStore] Завантажено стан віком ${(ageMs / 60_000).toFixed(1)} хв`);
+    return snapshot.state;
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,182 @@
+/**
+ * services/StreamRecorder.js
+ * Архівує сирі повідомлення WebSocket потоків у стиснені NDJSON файли.
+ *
+ * Структура: <dir>/<stream>/<YYYY-MM-DD>/<stream>-<YYYY-MM-DD>-<seq>.ndjson.gz
+ * Рядок:     {"receivedAt":<ms>,"stream":"<name>","data":<сире повідомлення>}
+ *
+ * Файл ротується при зміні дати (UTC) або коли обсяг записаних (нестиснених)
+ * даних у байтах перевищує maxFileSizeMb. Номер нового файлу — наступний після
+ * найбільшого наявного за день; існуючий файл ніколи не перезаписується.
+ * Після кожної ротації старі файли видаляються за retentionDays і maxTotalSizeMb.
+ * Формат сумісний з ReplayRunner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+const SEQ_RE = /-(\d+)\.ndjson\.gz$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StreamRecorder {
+  /**
+   * @param {Object} [options] - за замовчуванням config.recorder
+   */
+  constructor(options = config.recorder) {
+    this.dir = options.dir;
+    this.maxFileBytes = options.maxFileSizeMb * MB;
+    this.maxTotalBytes = options.maxTotalSizeMb * MB;
+    this.retentionDays = options.retentionDays;
+
+    // Відкриті файли по потоках: Map<stream, { date, seq, file, gzip, out, bytes }>
+    this.writers = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._applyRetention();
+  }
+
+  /**
+   * Записує одне сире повідомлення
+   * @param {string} stream - назва потоку (aggTrade, kline_1m)
+   * @param {string|Buffer} raw - сирий JSON як прийшов з WebSocket
+   * @param {number} [receivedAt] - час отримання, ms
+   */
+  record(stream, raw, receivedAt = Date.now()) {
+    const date = new Date(receivedAt).toISOString().slice(0, 10);
+    let writer = this.writers.get(stream);
+
+    if (!writer || writer.date !== date || writer.bytes >= this.maxFileBytes) {
+      writer = this._rotate(stream, date, writer);
+    }
+
+    // Сирий JSON вставляємо як є — без повторної серіалізації
+    const line = `{"receivedAt":${receivedAt},"stream":"${stream}","data":${raw.toString()}}\n`;
+    writer.gzip.write(line);
+    writer.bytes += Buffer.byteLength(line);
+  }
+
+  /**
+   * Закриває всі відкриті файли (дописує gzip)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const writers = Array.from(this.writers.values());
+    this.writers.clear();
+    await Promise.all(writers.map(w => this._closeWriter(w)));
+    logger.info(`[StreamRecorder] Запис зупинено, файлів закрито: ${writers.length}`);
+  }
+
+  // ─── Приватні методи ────────────────────────────────────────────────────────
+
+  _rotate(stream, date, prev) {
+    if (prev) {
+      this._closeWriter(prev)
+        .then(() => this._applyRetention())
+        .catch(err => logger.error(`[StreamRecorder] Помилка закриття ${prev.file}: ${err.message}`));
+    }
+
+    const dayDir = path.join(this.dir, stream, date);
+    fs.mkdirSync(dayDir, { recursive: true });
+
+    // Продовжуємо нумерацію після найбільшого номера цього дня (рестарт, retention
+    // міг видалити старші файли — тоді кількість файлів збігається з наявним номером)
+    const seq = this._nextSeq(dayDir, prev && prev.date === date ? prev.seq : -1);
+    const file = path.join(dayDir, `${stream}-${date}-${String(seq).padStart(3, '0')}.ndjson.gz`);
+
+    const gzip = zlib.createGzip();
+    // wx — наявний файл не перезаписується ні за яких умов
+    const out = fs.createWriteStream(file, { flags: 'wx' });
+    const writer = { stream, date, seq, file, gzip, out, bytes: 0 };
+
+    gzip.on('error', (err) => logger.error(`[StreamRecorder] gzip помилка ${file}: ${err.message}`));
+    out.on('error', (err) => logger.error(`[StreamRecorder] Помилка запису ${file}: ${err.message}`));
+    gzip.pipe(out);
+
+    this.writers.set(stream, writer);
+    logger.info(`[StreamRecorder] Новий файл: ${file}`);
+    return writer;
+  }
+
+  /**
+   * Наступний номер файлу в теці дня
+   * @param {string} dayDir
+   * @param {number} lastSeq - номер щойно закритого файлу (-1 — немає)
+   * @returns {number}
+   */
+  _nextSeq(dayDir, lastSeq) {
+    let max = lastSeq;
+    for (const name of fs.readdirSync(dayDir)) {
+      const match = SEQ_RE.exec(name);
+      if (match) max = Math.max(max, parseInt(match[1], 10));
+    }
+    return max + 1;
+  }
+
+  _closeWriter(writer) {
+    return new Promise((resolve) => {
+      writer.out.on('close', resolve);
+      writer.gzip.end();
+    });
+  }
+
+  /**
+   * Видаляє файли старші за retentionDays, потім найстаріші — поки загальний
+   * розмір не стане меншим за maxTotalSizeMb. Відкриті файли не чіпаємо.
+   */
+  _applyRetention() {
+    const openFiles = new Set(Array.from(this.writers.values()).map(w => w.file));
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+
+    const files = this._listFiles(this.dir)
+      .filter(f => !openFiles.has(f.path))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    let removed = 0;
+
+    for (const f of files) {
+      if (f.mtimeMs >= cutoff && total <= this.maxTotalBytes) break;
+      try {
+        fs.unlinkSync(f.path);
+        total -= f.size;
+        removed++;
+      } catch (err) {
+        logger.warn(`[StreamRecorder] Не вдалося видалити ${f.path}: ${err.message}`);
+      }
+    }
+
+    if (removed > 0) {
+      this._removeEmptyDirs(this.dir);
+      logger.info(`[StreamRecorder] Retention: видалено ${removed} файлів`);
+    }
+  }
+
+  _listFiles(dir) {
+    const result = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        result.push(...this._listFiles(full));
+      } else if (entry.name.endsWith('.ndjson.gz')) {
+        const { size, mtimeMs } = fs.statSync(full);
+        result.push({ path: full, size, mtimeMs });
+      }
+    }
+    return result;
+  }
+
+  _removeEmptyDirs(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const full = path.join(dir, entry.name);
+      this._removeEmptyDirs(full);
+      if (fs.readdirSync(full).length === 0) fs.rmdirSync(full);
+    }
+  }
+}
+
+module.exports = StreamRecorder;
@@ -0,0 +1,460 @@
+/**
+ * services/SymbolPipeline.js
+ * Ізольований конвеєр одного символу:
+ * CandleBuilder → FootprintEngine → SwingDetector → Absorption/ExhaustionDetector → AlertService
+ *
+ * Bot створює по одному конвеєру на символ і маршрутизує повідомлення потоків
+ * за полем `s`. AlertService спільний для всіх символів.
+ *
+ * Події:
+ *   'signal' (event) — підтверджений сигнал за схемою utils/signalSchema
+ */
+
+const EventEmitter = require('events');
+const SignalOutcomeTracker = require('./SignalOutcomeTracker');
+const CandleBuilder = require('../engines/CandleBuilder');
+const FootprintEngine = require('../engines/FootprintEngine');
+const SwingDetector = require('../detectors/SwingDetector');
+const AbsorptionDetector = require('../detectors/AbsorptionDetector');
+const ExhaustionDetector = require('../detectors/ExhaustionDetector');
+const KeyLevelDetector = require('../detectors/KeyLevelDetector');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { buildSignalEvent } = require('../utils/signalSchema');
+
+const tradesPerMinute = metrics.gauge('absorption_trades_per_minute', 'Угод у footprint останньої закритої 1m свічки', ['symbol']);
+const candleProcessingSeconds = metrics.histogram(
+  'absorption_candle_processing_seconds',
+  'Час від закриття 1m свічки до завершення її обробки (з очікуванням у черзі)',
+  ['symbol'],
+);
+
+class SymbolPipeline extends EventEmitter {
+  /**
+   * @param {Object} settings - налаштування символу (config.symbolSettings[symbol])
+   * @param {Object} alertService - спільний сервіс алертів
+   * @param {Object} [options]
+   * @param {string} [options.outcomeFile] - файл результатів сигналів замість config.outcome.file
+   * @param {import('./BinanceRest')} [options.rest] - REST клієнт для довантаження розривів
+   */
+  constructor(settings, alertService, options = {}) {
+    super();
+    this.settings = settings;
+    this.symbol = settings.symbol.toUpperCase();
+    this.tag = `[${this.symbol}]`;
+
+    // ─── Двигуни та детектори ────────────────────────────────────────────────
+    this.candleBuilder = new CandleBuilder(settings);
+    this.footprintEngine = new FootprintEngine(settings);
+    this.swingDetector = new SwingDetector(settings);
+    this.keyLevelDetector = new KeyLevelDetector(settings);
+    this.absorptionDetector = new AbsorptionDetector(settings);
+    this.exhaustionDetector = new ExhaustionDetector(settings, this.absorptionDetector.stats);
+    this.alertService = alertService;
+    this.rest = options.rest || null;
+    this.outcomeTracker = new SignalOutcomeTracker({
+      ...config.outcome,
+      file: options.outcomeFile || config.outcome.file,
+      symbol: this.symbol,
+    });
+
+    // ─── Стан ───────────────────────────────────────────────────────────────
+    // Зберігаємо footprint попередньої закритої свічки
+    // (потрібен для перевірки підтвердження)
+    this._lastClosedFootprint = null;
+    this._lastClosedCandle = null;
+
+    // Ланцюжок обробки закритих 1m свічок — гарантує послідовну обробку
+    this._closeChain = Promise.resolve();
+
+    // Під час backfill свічки лише наповнюють історію і статистику
+    this._backfilling = false;
+
+    // Дані потоків недостовірні (DataHealthMonitor) — нові кандидати не створюються
+    this.signalsBlocked = false;
+
+    this._bindCandleEvents();
+    this.footprintEngine.on('gap', (gap) => this._onTradeGap(gap));
+  }
+
+  /**
+   * aggTrade повідомлення цього символу → FootprintEngine
+   */
+  handleTrade(msg) {
+    this.footprintEngine.handleTrade(msg);
+  }
+
+  /**
+   * kline_1m повідомлення цього символу → CandleBuilder
+   */
+  handleKline(msg) {
+    this.candleBuilder.handleKlineMessage(msg);
+  }
+
+  /**
+   * Чекає завершення обробки всіх закритих свічок
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    return this._closeChain;
+  }
+
+  /**
+   * Простій зʼєднання потоку: кандидати скидаються (їх підтвердження
+   * пропущено), свічки і footprint хвилин простою позначаються недостовірними —
+   * без ковзної статистики, детекції і свінгів.
+   * @param {{ from: number, to: number }} outage - межі простою (ms)
+   * @param {string} stream - назва потоку (для логу)
+   */
+  markOutage({ from, to }, stream) {
+    this.absorptionDetector.cancelPending(`простій ${stream}`);
+    this.exhaustionDetector.cancelPending(`простій ${stream}`);
+    this.candleBuilder.markUnreliable(from, to);
+    this.footprintEngine.markUnreliable(from, to);
+    logger.warn(
+      `${this.tag} Свічки ${new Date(from).toISOString()} – ${new Date(to).toISOString()} ` +
+      `позначено недостовірними (простій ${stream})`
+    );
+  }
+
+  /**
+   * Блокує / розблоковує сигнали, поки дані потоків недостовірні. Під час
+   * блокування свічки лише оновлюють рівні і статистику, кандидати скасовуються.
+   * @param {boolean} blocked
+   * @param {string} [reason] - для логу
+   */
+  setSignalsBlocked(blocked, reason = '') {
+    if (blocked === this.signalsBlocked) return;
+    this.signalsBlocked = blocked;
+
+    if (blocked) {
+      this.absorptionDetector.cancelPending(`дані недостовірні (${reason})`);
+      this.exhaustionDetector.cancelPending(`дані недостовірні (${reason})`);
+      logger.warn(`${this.tag} ⛔ Сигнали заблоковано: ${reason}`);
+    } else {
+      logger.info(`${this.tag} ✅ Сигнали розблоковано`);
+    }
+  }
+
+  /**
+   * Серіалізований стан символу (для StateStore)
+   */
+  getState() {
+    return {
+      candles: this.candleBuilder.getState(),
+      swings:  this.swingDetector.getState(),
+      keyLevels: this.keyLevelDetector.getState(),
+      stats:   this.absorptionDetector.stats.getState(),
+      outcomes: this.outcomeTracker.getState(),
+    };
+  }
+
+  /**
+   * Відновлює історію свічок, пули свінгів, ключові рівні, ковзну статистику
+   * і результати сигналів
+   * @param {{ candles, swings, keyLevels, stats, outcomes }} state
+   */
+  restoreState(state) {
+    this.candleBuilder.restoreState(state.candles);
+    this.swingDetector.restoreState(state.swings);
+    if (state.keyLevels) this.keyLevelDetector.restoreState(state.keyLevels);
+    this.absorptionDetector.stats.restoreState(state.stats);
+    if (state.outcomes) this.outcomeTracker.restoreState(state.outcomes);
+
+    const swings = this.swingDetector.getStatus();
+    logger.info(
+      `${this.tag} Стан відновлено: свічок ${this._timeframeCounts()}, ` +
+      `swing highs=${swings.swingHighs.length}, swing lows=${swings.swingLows.length}, ` +
+      `stats=${this.absorptionDetector.stats.volumes.length}, ` +
+      `сигналів відстежується=${this.outcomeTracker.active.length}`
+    );
+  }
+
+  /**
+   * Прогрів з історичних даних через REST: 1m свічки відновлюють історію таймфреймів
+   * і пули свінгів, aggTrades за останні tradeMinutes — RollingStats.
+   * Свічки до вже обробленої (відновленої зі стану) пропускаються, тож backfill
+   * також закриває розрив після рестарту.
+   *
+   * @param {import('./BinanceRest')} rest
+   * @param {{ klineMinutes: number, tradeMinutes: number }} options
+   */
+  async backfill(rest, { klineMinutes, tradeMinutes }) {
+    if (config.keyLevels.enabled) {
+      await this._seedKeyLevels(rest);
+    }
+
+    const currentMinute = Math.floor(Date.now() / 60_000) * 60_000;
+    const endTime = currentMinute - 1; // лише закриті свічки
+
+    const lastKnown = this.candleBuilder.lastClosed1mOpenTime;
+    const startTime = Math.max(
+      currentMinute - klineMinutes * 60_000,
+      lastKnown !== null ? lastKnown + 60_000 : 0,
+    );
+    if (startTime > endTime) {
+      logger.info(`${this.tag} Backfill не потрібен — історія актуальна`);
+      return;
+    }
+
+    const klines = await rest.getKlineMessages(this.settings.symbol, startTime, endTime);
+    const tradeStart = Math.max(startTime, currentMinute - tradeMinutes * 60_000);
+    const trades = await rest.getAggTradeMessages(this.settings.symbol, tradeStart, endTime);
+
+    // Зливаємо за часом: угоди хвилини йдуть перед закриттям її свічки
+    this._backfilling = true;
+    try {
+      let t = 0;
+      for (const kline of klines) {
+        while (t < trades.length && trades[t].T <= kline.k.T) {
+          this.handleTrade(trades[t++]);
+        }
+        this.handleKline(kline);
+        await this.whenIdle();
+      }
+    } finally {
+      this._backfilling = false;
+    }
+
+    const swings = this.swingDetector.getStatus();
+    logger.info(
+      `${this.tag} Backfill: ${klines.length} 1m свічок, ${trades.length} угод | ` +
+      `свічок ${this._timeframeCounts()}, ` +
+      `swing highs=${swings.swingHighs.length}, swing lows=${swings.swingLows.length}, ` +
+      `stats=${this.absorptionDetector.stats.volumes.length}`
+    );
+  }
+
+  /**
+   * PDH/PDL і PWH/PWL з біржових 1d / 1w свічок — 1m історії backfill для них замало
+   * @param {import('./BinanceRest')} rest
+   */
+  async _seedKeyLevels(rest) {
+    for (const [name, interval] of [['day', '1d'], ['week', '1w']]) {
+      try {
+        const [previous, current] = await rest.getRecentKlines(this.settings.symbol, interval, 2);
+        if (!previous || !current) continue;
+        this.keyLevelDetector.seed(
+          name,
+          { start: previous.openTime, high: previous.high, low: previous.low },
+          { start: current.openTime, high: current.high, low: current.low },
+        );
+      } catch (err) {
+        logger.warn(`${this.tag} Не вдалося отримати ${interval} свічки для ключових рівнів: ${err.message}`);
+      }
+    }
+  }
+
+  // ─── Прив'язка подій ────────────────────────────────────────────────────────
+
+  /**
+   * Обробка подій від CandleBuilder
+   */
+  _bindCandleEvents() {
+    // 1m свічка закрита
+    this.candleBuilder.on('1mClose', (candle) => {
+      const receivedAt = Date.now();
+      const live = !this._backfilling;
+      this._closeChain = this._closeChain
+        .then(() => this._on1mClose(candle))
+        .then(() => {
+          // Backfill проганяє сотні свічок поспіль — у латентність не входить
+          if (live) candleProcessingSeconds.observe({ symbol: this.symbol }, (Date.now() - receivedAt) / 1000);
+        })
+        .catch((err) => logger.error(`${this.tag} Помилка обробки 1m свічки: ${err.message}`, err));
+    });
+
+    // Свічка старшого таймфрейму закрита — оновлюємо свінги цього таймфрейму
+    this.candleBuilder.on('close', (timeframe) => {
+      const candles = this.candleBuilder.getClosed(timeframe);
+      this.swingDetector.update(timeframe, candles);
+
+      const status = this.swingDetector.getStatus().byTimeframe[timeframe];
+      logger.info(
+        `${this.tag} ${timeframe} свічка закрита | ` +
+        `Swing Highs: [${status.swingHighs.join(', ') || 'n/a'}] | ` +
+        `Swing Lows: [${status.swingLows.join(', ') || 'n/a'}]`
+      );
+    });
+  }
+
+  /** Кількість закритих свічок кожного таймфрейму для логів: "15m=40, 1h=12" */
+  _timeframeCounts() {
+    return this.candleBuilder.timeframes
+      .map(tf => `${tf}=${this.candleBuilder.getClosed(tf).length}`)
+      .join(', ');
+  }
+
+  // ─── Основна логіка при закритті 1m свічки ──────────────────────────────────
+
+  async _on1mClose(candle) {
+    // 1. Отримуємо footprint саме цієї свічки (за openTime, не за часом приходу)
+    const footprint = this.footprintEngine.calculate(candle.openTime);
+
+    if (footprint) tradesPerMinute.set({ symbol: this.symbol }, footprint.tradeCount);
+
+    // Розрив у потоці угод: delta/POC цієї хвилини недостовірні
+    if (footprint && footprint.incomplete) {
+      logger.warn(`${this.tag} ⚠️ Footprint ${new Date(candle.openTime).toISOString()} неповний — сигнали заблоковано`);
+    }
+
+    // 2. Оновлюємо ковзну статистику (неповні хвилини не враховуємо)
+    if (footprint && !footprint.incomplete) {
+      this.absorptionDetector.updateStats(footprint.totalVolume, footprint.delta);
+    }
+
+    logger.debug(
+      `${this.tag} 1m закрито: C=${candle.close} | ` +
+      (footprint
+        ? `vol=${footprint.totalVolume.toFixed(2)}, delta=${footprint.delta.toFixed(2)}, poc=${footprint.poc}`
+        : 'footprint=null')
+    );
+
+    // Backfill: лише історія і статистика — без детекції і алертів
+    if (this._backfilling) {
+      this.swingDetector.applyCandle(candle);
+      this.keyLevelDetector.applyCandle(candle);
+      this.footprintEngine.prune(candle.openTime);
+      return;
+    }
+
+    // 3. Оновлюємо результати вже надісланих сигналів
+    await this.outcomeTracker.onCandle(candle);
+
+    // 4. Якщо є pending кандидат — перевіряємо підтвердження.
+    //    Без повного footprint свічка не підтверджує, але вікно і скасування
+    //    новим екстремумом рахуються (детектори перевіряють це самі)
+    if (this.absorptionDetector.hasPending()) {
+      const confirmation = this.absorptionDetector.checkConfirmation(candle, footprint);
+      if (confirmation.type) {
+        await this._handleSignalConfirmed(confirmation, candle);
+      }
+    }
+    if (this.exhaustionDetector.hasPending()) {
+      const confirmation = this.exhaustionDetector.checkConfirmation(candle, footprint);
+      if (confirmation.type) {
+        await this._handleSignalConfirmed(confirmation, candle);
+      }
+    }
+
+    // 5. Перевіряємо нову свічку на кандидата абсорбції
+    //    (pending при блокуванні вже скасовано — крок 4 нічого не робить)
+    if (this.signalsBlocked) {
+      logger.warn(`${this.tag} ⚠️ Дані потоків недостовірні — свічка ${new Date(candle.openTime).toISOString()} без детекції`);
+    } else if (footprint && !footprint.incomplete) {
+      // Отримуємо які рівні з пулу були пробиті цією свічкою
+      // Свінги всіх таймфреймів + ключові рівні (PDH/PDL, PWH/PWL, сесії)
+      const keyLevelsOn = config.keyLevels.enabled;
+      const sweptLows  = this.swingDetector.getSweptLows(
+        candle.low, keyLevelsOn ? this.keyLevelDetector.getLevels('low') : [],
+      );
+      const sweptHighs = this.swingDetector.getSweptHighs(
+        candle.high, keyLevelsOn ? this.keyLevelDetector.getLevels('high') : [],
+      );
+
+      if (sweptLows.count > 0 || sweptHighs.count > 0) {
+        logger.debug(
+          `${this.tag} Sweep: ${sweptHighs.count} хаїв [${sweptHighs.swept.map(s=>`${s.price}/${s.label || s.timeframe}`).join(',')}], ` +
+          `${sweptLows.count} лоїв [${sweptLows.swept.map(s=>`${s.price}/${s.label || s.timeframe}`).join(',')}]`
+        );
+      }
+
+      const candidate = this.absorptionDetector.checkCandle(
+        candle,
+        footprint,
+        sweptLows,
+        sweptHighs,
+      );
+
+      // checkCandle повертає type тільки якщо щось підтверджено одразу (не використовується зараз)
+      if (candidate.type) {
+        await this._handleSignalConfirmed(candidate, candle);
+      }
+
+      // Виснаження: ті самі рівні, але обʼєм і delta згасають. Детектори незалежні —
+      // на одній свічці можуть зʼявитись кандидати обох патернів
+      this.exhaustionDetector.checkCandle(candle, footprint, sweptLows, sweptHighs);
+    }
+
+    // Рівні, за якими свічка закрилась або які застаріли, більше не ліквідність
+    this.swingDetector.applyCandle(candle);
+    this.keyLevelDetector.applyCandle(candle);
+
+    // 6. Зберігаємо для наступного циклу
+    this._lastClosedCandle = candle;
+    this._lastClosedFootprint = footprint;
+
+    // 7. Прибираємо старі хвилини (закрита лишається на retainMinutes для пізніх угод)
+    this.footprintEngine.prune(candle.openTime);
+  }
+
+  /**
+   * Довантажує пропущені угоди через REST (якщо увімкнено)
+   * @param {Object} gap - подія 'gap' від FootprintEngine
+   */
+  async _onTradeGap(gap) {
+    if (!this.rest || !config.gaps.restRecovery) return;
+
+    const expected = gap.toAggId - gap.fromAggId + 1;
+    if (expected > config.gaps.maxRecoveryTrades) {
+      logger.warn(`${this.tag} Розрив ${expected} угод > ${config.gaps.maxRecoveryTrades} — не довантажуємо`);
+      return;
+    }
+
+    try {
+      const trades = await this.rest.getAggTradeMessagesById(this.settings.symbol, gap.fromAggId, gap.toAggId);
+      this.footprintEngine.applyRecoveredTrades(gap, trades);
+    } catch (err) {
+      logger.error(`${this.tag} Помилка довантаження розриву: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {{ type, data }} result - підтверджений сигнал (абсорбція або виснаження — data.pattern)
+   * @param {Object} candle - 1m свічка, на якій сигнал підтверджено (вхід для OutcomeTracker)
+   */
+  async _handleSignalConfirmed(result, candle) {
+    const { type, data } = result;
+    const label = data.pattern === 'exhaustion' ? 'Виснаження' : 'Абсорбція';
+    logger.info(`${this.tag} 🚨 ${type} ${label} підтверджено! Знято ${data.sweptCount} рівнів: [${data.sweptLevels.join(', ')}]`);
+
+    // Score нижче порогу алерту — лише лог і статистика результатів
+    if (data.tier === 'silent') {
+      logger.info(`${this.tag} 🔕 ${type} score ${data.score} < ${config.score.alertThreshold} — алерт не надсилається`);
+      // Replay записує і такі сигнали (ReplayAlertSink); AlertService цього методу не має
+      await this.alertService.recordSilentSignal?.(type, data);
+      this.outcomeTracker.track(type, data, candle, false);
+      this.emit('signal', buildSignalEvent(type, data, candle, false));
+      return;
+    }
+
+    let sent = false;
+    if (data.pattern === 'exhaustion') {
+      sent = await this.alertService.sendExhaustionAlert(type, data);
+    } else if (type === 'SHORT') {
+      sent = await this.alertService.sendShortAlert(data);
+    } else if (type === 'LONG') {
+      sent = await this.alertService.sendLongAlert(data);
+    }
+
+    if (sent) {
+      logger.info(`${this.tag} ✅ Telegram алерт надіслано`);
+      // Очищаємо swept рівні з пулу щоб не тригерити повторно по тим самим рівням
+      if (type === 'SHORT' && data.sweptHighsInfo) {
+        this.swingDetector.clearSweptLevels('high', data.sweptHighsInfo.swept);
+        this.keyLevelDetector.clearLevels('high', data.sweptHighsInfo.swept);
+      } else if (type === 'LONG' && data.sweptLowsInfo) {
+        this.swingDetector.clearSweptLevels('low', data.sweptLowsInfo.swept);
+        this.keyLevelDetector.clearLevels('low', data.sweptLowsInfo.swept);
+      }
+    } else {
+      logger.warn(`${this.tag} ⚠️ Алерт не надісланий (утримано політикою алертів або mute)`);
+    }
+
+    this.outcomeTracker.track(type, data, candle, sent);
+    this.emit('signal', buildSignalEvent(type, data, candle, sent));
+  }
+}
+
+module.exports = SymbolPipeline;
@@ -1,13 +1,28 @@
 /**
  * services/WebSocketManager.js
  * Управляє WebSocket зʼєднаннями з Binance Futures
- * Автоматичне перепідключення з exponential backoff
+ * Автоматичне перепідключення з exponential backoff; після maxReconnectAttempts
+ * спроб ('maxReconnectReached') — без ліміту кожні slowReconnectIntervalMs.
+ * Після відновлення емітується 'recovered' з межами простою.
+ *
+ * Watchdog: сокет може лишатися відкритим, а дані — не йти. Якщо на ping
+ * немає pong за pongTimeoutMs або повідомлень немає довше maxSilenceMs,
+ * зʼєднання примусово розривається (подія 'stale') і перепідключається.
+ * Затримка потоку (час отримання − час події E) доступна як lagMs.
  */
 
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
 const { config } = require('../config');
+const metrics = require('../utils/metrics');
+
+const messagesTotal = metrics.counter('absorption_ws_messages_total', 'Отримано повідомлень WebSocket', ['stream']);
+const reconnectsTotal = metrics.counter('absorption_ws_reconnects_total', 'Заплановано перепідключень WebSocket', ['stream']);
+const connectedGauge = metrics.gauge('absorption_ws_connected', 'Стан зʼєднання WebSocket (1 — зʼєднано)', ['stream']);
+const staleTotal = metrics.counter('absorption_ws_stale_total', 'Примусових розривів watchdog', ['stream', 'reason']);
+
+const WATCHDOG_INTERVAL_MS = 1_000;
 
 class WebSocketManager extends EventEmitter {
   /**
@@ -22,7 +37,32 @@ class WebSocketManager extends EventEmitter {
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.pingInterval = null;
+    this.watchdogInterval = null;
     this.shouldReconnect = true;
+
+    // Heartbeat: час останнього повідомлення, відправки ping без відповіді, затримка потоку
+    this.connectedAt = null;
+    this.lastMessageAt = null;
+    this.pingSentAt = null;
+    this.lagMs = null;
+
+    // Початок поточного простою (перший розрив після останнього успішного зʼєднання)
+    this.disconnectedAt = null;
+    connectedGauge.set({ stream: name }, 0);
+  }
+
+  /**
+   * Примусове перепідключення ззовні — напр. потік відстає від іншого
+   * @param {string} detail - для логу і події 'stale'
+   */
+  resync(detail) {
+    if (!this.isConnected) return;
+    this._forceReconnect('resync', detail);
+  }
+
+  /** Швидкі спроби вичерпано — повтор з повільним інтервалом */
+  get slowRecovery() {
+    return this.reconnectAttempts >= config.websocket.maxReconnectAttempts;
   }
 
   /** Ініціалізація зʼєднання */
@@ -33,12 +73,14 @@ class WebSocketManager extends EventEmitter {
       this.ws = new WebSocket(this.url);
     } catch (err) {
       logger.error(`[${this.name}] Помилка створення WebSocket: ${err.message}`);
+      if (this.disconnectedAt === null) this.disconnectedAt = Date.now();
       this._scheduleReconnect();
       return;
     }
 
     this.ws.on('open', () => this._onOpen());
     this.ws.on('message', (data) => this._onMessage(data));
+    this.ws.on('pong', () => this._onPong());
     this.ws.on('error', (err) => this._onError(err));
     this.ws.on('close', (code, reason) => this._onClose(code, reason));
   }
@@ -47,33 +89,67 @@ class WebSocketManager extends EventEmitter {
   disconnect() {
     this.shouldReconnect = false;
     this._clearPing();
+    this._clearWatchdog();
     if (this.ws) {
       this.ws.terminate();
       this.ws = null;
     }
     this.isConnected = false;
+    connectedGauge.set({ stream: this.name }, 0);
     logger.info(`[${this.name}] Зʼєднання закрито навмисно`);
   }
 
   // ─── Приватні методи ────────────────────────────────────────────────────────
 
   _onOpen() {
+    const attempts = this.reconnectAttempts;
     this.isConnected = true;
     this.reconnectAttempts = 0;
+    connectedGauge.set({ stream: this.name }, 1);
+    this.connectedAt = Date.now();
+    this.lastMessageAt = null;
+    this.pingSentAt = null;
+    this.lagMs = null;
     logger.info(`[${this.name}] ✅ Зʼєднано`);
     this.emit('connected');
     this._startPing();
+    this._startWatchdog();
+
+    if (this.disconnectedAt !== null) {
+      const outage = {
+        from: this.disconnectedAt,
+        to: this.connectedAt,
+        attempts,
+        slowRecovery: attempts > config.websocket.maxReconnectAttempts,
+      };
+      this.disconnectedAt = null;
+      logger.info(`[${this.name}] Відновлено після ${((outage.to - outage.from) / 1000).toFixed(0)}s простою (спроб: ${attempts})`);
+      this.emit('recovered', outage);
+    }
   }
 
   _onMessage(raw) {
+    const receivedAt = Date.now();
+    this.lastMessageAt = receivedAt;
+    messagesTotal.inc({ stream: this.name });
+    // Сире повідомлення для запису (StreamRecorder) — до парсингу
+    this.emit('raw', raw, receivedAt);
+
     try {
       const data = JSON.parse(raw);
-      this.emit('message', data);
+      // Combined stream обгортає повідомлення: { stream, data }
+      const payload = data.stream && data.data ? data.data : data;
+      if (payload.E) this.lagMs = receivedAt - payload.E;
+      this.emit('message', payload);
     } catch (err) {
       logger.warn(`[${this.name}] Помилка парсингу повідомлення: ${err.message}`);
     }
   }
 
+  _onPong() {
+    this.pingSentAt = null;
+  }
+
   _onError(err) {
     logger.error(`[${this.name}] WebSocket помилка: ${err.message}`);
     this.emit('error', err);
@@ -81,7 +157,10 @@ class WebSocketManager extends EventEmitter {
 
   _onClose(code, reason) {
     this.isConnected = false;
+    connectedGauge.set({ stream: this.name }, 0);
     this._clearPing();
+    this._clearWatchdog();
+    if (this.disconnectedAt === null) this.disconnectedAt = Date.now();
     const reasonStr = reason ? reason.toString() : 'невідома причина';
     logger.warn(`[${this.name}] Зʼєднання закрито (код: ${code}, причина: ${reasonStr})`);
     this.emit('disconnected', { code, reason: reasonStr });
@@ -92,18 +171,24 @@ class WebSocketManager extends EventEmitter {
   }
 
   _scheduleReconnect() {
-    if (this.reconnectAttempts >= config.websocket.maxReconnectAttempts) {
-      logger.error(`[${this.name}] ❌ Перевищено максимум спроб перепідключення (${config.websocket.maxReconnectAttempts})`);
-      this.emit('maxReconnectReached');
-      return;
-    }
+    const { reconnectDelayMs, maxReconnectAttempts, slowReconnectIntervalMs } = config.websocket;
 
-    // Exponential backoff: 3s, 6s, 12s, 24s... макс 60s
-    const delay = Math.min(
-      config.websocket.reconnectDelayMs * Math.pow(2, this.reconnectAttempts),
-      60_000,
-    );
+    let delay;
+    if (this.reconnectAttempts < maxReconnectAttempts) {
+      // Exponential backoff: 3s, 6s, 12s, 24s... макс 60s
+      delay = Math.min(reconnectDelayMs * Math.pow(2, this.reconnectAttempts), 60_000);
+    } else {
+      if (this.reconnectAttempts === maxReconnectAttempts) {
+        logger.error(
+          `[${this.name}] ❌ Вичерпано ${maxReconnectAttempts} швидких спроб перепідключення — ` +
+          `далі кожні ${(slowReconnectIntervalMs / 1000).toFixed(0)}s`
+        );
+        this.emit('maxReconnectReached');
+      }
+      delay = slowReconnectIntervalMs;
+    }
     this.reconnectAttempts++;
+    reconnectsTotal.inc({ stream: this.name });
 
     logger.info(`[${this.name}] Перепідключення через ${delay}ms (спроба ${this.reconnectAttempts})`);
     setTimeout(() => {
@@ -114,7 +199,9 @@ class WebSocketManager extends EventEmitter {
   _startPing() {
     this._clearPing();
     this.pingInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      // Попередній ping ще без відповіді — таймаут відстежує watchdog
+      if (this.ws && this.ws.readyState === WebSocket.OPEN && this.pingSentAt === null) {
+        this.pingSentAt = Date.now();
         this.ws.ping();
       }
     }, config.websocket.pingIntervalMs);
@@ -126,6 +213,44 @@ class WebSocketManager extends EventEmitter {
       this.pingInterval = null;
     }
   }
+
+  _startWatchdog() {
+    this._clearWatchdog();
+    this.watchdogInterval = setInterval(() => {
+      const now = Date.now();
+      const { pongTimeoutMs, maxSilenceMs } = config.websocket;
+
+      if (this.pingSentAt !== null && now - this.pingSentAt > pongTimeoutMs) {
+        this._forceReconnect('pongTimeout', `немає pong ${((now - this.pingSentAt) / 1000).toFixed(0)}s`);
+        return;
+      }
+
+      const silentMs = now - (this.lastMessageAt ?? this.connectedAt);
+      if (silentMs > maxSilenceMs) {
+        this._forceReconnect('silence', `немає повідомлень ${(silentMs / 1000).toFixed(0)}s`);
+      }
+    }, WATCHDOG_INTERVAL_MS);
+  }
+
+  _clearWatchdog() {
+    if (this.watchdogInterval) {
+      clearInterval(this.watchdogInterval);
+      this.watchdogInterval = null;
+    }
+  }
+
+  /**
+   * Розриває "завислий" сокет: close → звичайне перепідключення з backoff
+   * @param {string} reason - pongTimeout | silence | resync
+   * @param {string} detail
+   */
+  _forceReconnect(reason, detail) {
+    logger.warn(`[${this.name}] ⚠️ Потік завис (${detail}) — примусове перепідключення`);
+    staleTotal.inc({ stream: this.name, reason });
+    this._clearWatchdog();
+    this.emit('stale', { reason, detail });
+    if (this.ws) this.ws.terminate();
+  }
 }
 
 module.exports = WebSocketManager;
@@ -0,0 +1,133 @@
+/**
+ * utils/metrics.js
+ * Мінімальний реєстр метрик у текстовому форматі Prometheus (без залежностей).
+ * Counter / gauge / histogram з мітками.
+ *
+ * Модулі оголошують свої метрики при завантаженні:
+ *   const trades = metrics.counter('absorption_trades_processed_total', 'Оброблено aggTrade', ['symbol']);
+ *   trades.inc({ symbol: 'BTCUSDT' });
+ * Повторне оголошення з тією ж назвою повертає той самий обʼєкт.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/** Значення мітки за правилами формату: \\ " і перенос рядка */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Map<labelString, { labels, value }>
+    this.series = new Map();
+  }
+
+  _series(labels) {
+    const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = labelString(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: picked, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, series] of this.series) {
+      lines.push(`${this.name}${key} ${series.value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this._series(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  set(labels = {}, value) {
+    this._series(labels).value = value;
+  }
+
+  /** Прибирає всі серії (перед повним перерахунком знімка) */
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this._series(labels);
+    if (!series.counts) {
+      series.counts = this.buckets.map(() => 0);
+      series.sum = 0;
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.value++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${labelString({ ...series.labels, le })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString({ ...series.labels, le: '+Inf' })} ${series.value}`);
+      lines.push(`${this.name}_sum${labelString(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${labelString(series.labels)} ${series.value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(name, () => new Counter('counter', name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._register(name, () => new Gauge('gauge', name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  /** Усі метрики у форматі Prometheus text exposition 0.0.4 */
+  render() {
+    return Array.from(this.metrics.values()).map(m => m.render()).join('\n') + '\n';
+  }
+
+  _register(name, create) {
+    if (!this.metrics.has(name)) this.metrics.set(name, create());
+    return this.metrics.get(name);
+  }
+}
+
+module.exports = new MetricsRegistry();
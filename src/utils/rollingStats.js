@@ -55,6 +55,25 @@ class RollingStats {
     return this.volumes.length >= Math.floor(this.windowSize / 2);
   }
 
+  /** Серіалізований стан (для StateStore) */
+  getState() {
+    return {
+      volumes: this.volumes,
+      absDeltaValues: this.absDeltaValues,
+      deltaValues: this.deltaValues,
+    };
+  }
+
+  /**
+   * Відновлює стан, обрізаючи до поточного windowSize
+   * @param {{ volumes, absDeltaValues, deltaValues }} state
+   */
+  restoreState(state) {
+    this.volumes = state.volumes.slice(-this.windowSize);
+    this.absDeltaValues = state.absDeltaValues.slice(-this.windowSize);
+    this.deltaValues = state.deltaValues.slice(-this.windowSize);
+  }
+
   /** Скидання статистики */
   reset() {
     this.volumes = [];
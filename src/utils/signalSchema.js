@@ -0,0 +1,110 @@
+/**
+ * utils/signalSchema.js
+ * Версійована JSON-схема підтвердженого сигналу — машиночитний вихід бота
+ * для виконавчих систем і дашбордів (Bot подія 'signal', NDJSON журнал,
+ * socket / webhook). Несумісні зміни полів — лише з підвищенням SIGNAL_SCHEMA_VERSION.
+ *
+ * Версія 1:
+ *   schema, version, id          — 'absorption-bot.signal', 1, унікальний ID сигналу
+ *   symbol, pattern, direction   — BTCUSDT, absorption | exhaustion, SHORT | LONG
+ *   time, confirmedAt            — ISO час свічки сигналу і свічки підтвердження
+ *   alerted, score, tier         — чи надіслано алерт; score / tier (null для виснаження)
+ *   sweptLevels[]                — { price, timeframe, label, touches, equal }
+ *   sweptCount, sweptWeight, sweptTimeframes, keyLevels, equalClusters
+ *   swingLevel, sweepPrice, poc, delta, totalVolume
+ *   volumeMultiple, deltaMultiple, avgVolume, avgAbsDelta
+ *   confirmedBy, confirmCandles
+ *   candle                       — { openTime, open, high, low, close, volume }
+ *   footprint                    — підсумок без кластерів (POC, обʼєми, VA, дисбаланси)
+ */
+
+const SIGNAL_SCHEMA = 'absorption-bot.signal';
+const SIGNAL_SCHEMA_VERSION = 1;
+
+/**
+ * ID сигналу: символ, патерн, напрямок і openTime свічки сигналу.
+ * Детектор тримає не більше одного кандидата, тож на свічку — один сигнал кожного
+ * патерну; ID стабільний між replay прогонами і рестартами.
+ * @returns {string} напр. BTCUSDT-absorption-SHORT-1767231420000
+ */
+function signalId(symbol, pattern, direction, openTime) {
+  return `${symbol}-${pattern}-${direction}-${openTime}`;
+}
+
+/**
+ * @param {'SHORT'|'LONG'} direction
+ * @param {Object} data - payload з AbsorptionDetector/ExhaustionDetector._buildResult
+ * @param {Object} confirmCandle - 1m свічка, на якій сигнал підтверджено
+ * @param {boolean} alerted - чи був надісланий алерт
+ * @returns {Object} подія за схемою SIGNAL_SCHEMA_VERSION
+ */
+function buildSignalEvent(direction, data, confirmCandle, alerted) {
+  const pattern = data.pattern || 'absorption';
+  const sweptInfo = direction === 'SHORT' ? data.sweptHighsInfo : data.sweptLowsInfo;
+  const fp = data.footprint;
+
+  return {
+    schema:          SIGNAL_SCHEMA,
+    version:         SIGNAL_SCHEMA_VERSION,
+    id:              signalId(data.symbol, pattern, direction, data.candle.openTime),
+    symbol:          data.symbol,
+    pattern,
+    direction,
+    time:            new Date(data.candle.openTime).toISOString(),
+    confirmedAt:     new Date(confirmCandle.openTime).toISOString(),
+    alerted,
+    score:           data.score ?? null,
+    tier:            data.tier ?? null,
+    scoreComponents: data.scoreComponents ?? null,
+    sweptLevels: (sweptInfo ? sweptInfo.swept : data.sweptLevels.map(price => ({ price })))
+      .map(s => ({
+        price:     s.price,
+        timeframe: s.timeframe ?? null,
+        label:     s.label ?? null,
+        touches:   s.touches ?? 0,
+        equal:     Boolean(s.equal),
+      }))
+      .sort((a, b) => a.price - b.price),
+    sweptCount:      data.sweptCount,
+    sweptWeight:     data.sweptWeight,
+    sweptTimeframes: data.sweptTimeframes || {},
+    keyLevels:       data.keyLevels || [],
+    equalClusters:   data.equalClusters || [],
+    swingLevel:      data.swingLevel,
+    sweepPrice:      data.sweepPrice,
+    poc:             data.poc,
+    delta:           data.delta,
+    totalVolume:     data.totalVolume,
+    volumeMultiple:  parseFloat(data.volumeMultiple),
+    deltaMultiple:   parseFloat(data.deltaMultiple),
+    avgVolume:       data.avgVolume,
+    avgAbsDelta:     data.avgAbsDelta,
+    confirmedBy:     data.confirmedBy || [],
+    confirmCandles:  data.confirmCandles ?? 1,
+    candle: {
+      openTime: data.candle.openTime,
+      open:     data.candle.open,
+      high:     data.candle.high,
+      low:      data.candle.low,
+      close:    data.candle.close,
+      volume:   data.candle.volume,
+    },
+    footprint: {
+      poc:               fp.poc,
+      pocVolume:         fp.pocVolume,
+      totalVolume:       fp.totalVolume,
+      buyVolume:         fp.totalBuyVolume,
+      sellVolume:        fp.totalSellVolume,
+      delta:             fp.delta,
+      tradeCount:        fp.tradeCount,
+      valueAreaHigh:     fp.valueAreaHigh,
+      valueAreaLow:      fp.valueAreaLow,
+      imbalances:        fp.imbalances,
+      stackedImbalances: fp.stackedImbalances,
+      unfinishedAuction: fp.unfinishedAuction,
+      incomplete:        fp.incomplete,
+    },
+  };
+}
+
+module.exports = { SIGNAL_SCHEMA, SIGNAL_SCHEMA_VERSION, signalId, buildSignalEvent };
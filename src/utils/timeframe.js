@@ -0,0 +1,19 @@
+/**
+ * utils/timeframe.js
+ * Робота з позначеннями таймфреймів виду 5m, 15m, 1h, 4h, 1d
+ */
+
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Тривалість таймфрейму в мс
+ * @param {string} timeframe - напр. '15m', '1h'
+ * @returns {number|null} null для некоректного позначення
+ */
+function timeframeToMs(timeframe) {
+  const match = /^(\d+)([mhd])$/.exec(timeframe || '');
+  if (!match || parseInt(match[1], 10) === 0) return null;
+  return parseInt(match[1], 10) * UNIT_MS[match[2]];
+}
+
+module.exports = { timeframeToMs };
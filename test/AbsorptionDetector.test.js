@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AbsorptionDetector = require('../src/detectors/AbsorptionDetector');
+
+function detectorWithShortPending() {
+  const detector = new AbsorptionDetector({ symbol: 'btcusdt', deltaMultiplier: 2, volumeMultiplier: 1.5, minLevelsSwept: 2 });
+  detector.pending = {
+    state:        'SHORT_PENDING',
+    candle:       { open: 100, high: 105, low: 99, close: 101 },
+    footprint:    { poc: 102, delta: 50 },
+    sweptHighs:   { lowestSweptLevel: 103 },
+    sweptLows:    null,
+    sweepPrice:   105,
+    confirmCount: 1,
+  };
+  return detector;
+}
+
+test('noNewExtreme перевіряє high свічки підтвердження відносно sweepPrice', () => {
+  const detector = detectorWithShortPending();
+
+  assert.ok(detector._confirmedRules('SHORT', { high: 104.5, low: 100, close: 101 }, null).includes('noNewExtreme'));
+  assert.ok(!detector._confirmedRules('SHORT', { high: 105.5, low: 100, close: 101 }, null).includes('noNewExtreme'));
+});
+
+test('cancelPending скидає кандидата', () => {
+  const detector = detectorWithShortPending();
+
+  detector.cancelPending('замінено новим sweep');
+  assert.strictEqual(detector.hasPending(), false);
+});
+
+test('score не рахується при нульових середніх vol / |delta|', () => {
+  const detector = new AbsorptionDetector({ symbol: 'btcusdt', deltaMultiplier: 2, volumeMultiplier: 1.5, minLevelsSwept: 2 });
+  for (let i = 0; i < detector.stats.windowSize; i++) detector.updateStats(0, 0);
+
+  const swept = { count: 2, weight: 2, swept: [{ price: 104 }], equalClusters: [] };
+  const none = { count: 0, weight: 0, swept: [], equalClusters: [] };
+  const footprint = { delta: 10, totalVolume: 20, poc: 102, imbalances: { buy: [], sell: [] }, stackedImbalances: [] };
+
+  const result = detector.checkCandle({ open: 100, high: 105, low: 99, close: 101 }, footprint, none, swept);
+  assert.deepStrictEqual(result, { type: null });
+  assert.strictEqual(detector.hasPending(), false);
+
+  const scored = detector._score('SHORT', { open: 100, high: 105, low: 99, close: 101 }, footprint, swept);
+  assert.ok(Number.isFinite(scored.score));
+});
+
+test('неповний footprint не підтверджує кандидата, але рахується у вікно', () => {
+  const detector = detectorWithShortPending();
+  detector.pending.confirmCount = 0;
+  const candle = { openTime: 0, open: 101, high: 104, low: 96, close: 97 };
+  const fp = { poc: 98, delta: -30 };
+
+  assert.strictEqual(detector.checkConfirmation(candle, { ...fp, incomplete: true }).type, null);
+  assert.strictEqual(detector.pending.confirmCount, 1);
+  assert.ok(detector._confirmedRules('SHORT', candle, fp).length > 0);
+});
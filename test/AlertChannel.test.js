@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const AlertChannel = require('../src/channels/AlertChannel');
+const WebhookChannel = require('../src/channels/WebhookChannel');
+const DiscordChannel = require('../src/channels/DiscordChannel');
+const SlackChannel = require('../src/channels/SlackChannel');
+const AlertQueue = require('../src/services/AlertQueue');
+
+const filter = { directions: ['SHORT', 'LONG'], minScore: 60 };
+const queueOptions = { retryBaseMs: 1000, retryMaxMs: 10_000, ratePerMinute: 60_000, lateAfterMs: 120_000, maxAgeMs: 3_600_000 };
+
+const alert = {
+  type: 'SHORT', direction: 'SHORT', pattern: 'absorption', symbol: 'BTCUSDT', score: 72, tier: 'alert',
+  html: '<b>SHORT</b> BTCUSDT &amp; co',
+  data: {
+    candle: { openTime: Date.UTC(2026, 9, 19, 12) },
+    sweptLevels: [105, 104], sweepPrice: 105.5, delta: 120, totalVolume: 300, poc: 105, candleClose: 104.2,
+  },
+};
+
+/**
+ * Локальний HTTP сервер на вільному порту: записує запити й відповідає
+ * наступною відповіддю з черги (або 200)
+ */
+async function startServer(t, responses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, headers = {}, body: resBody = '' } = responses.shift() || {};
+      res.writeHead(status, headers);
+      res.end(resBody);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+/** Доставка через AlertQueue — як у AlertService */
+async function deliver(channel) {
+  const queue = new AlertQueue([channel], queueOptions);
+  queue.enqueueAlert(channel.name, alert);
+  await queue.process();
+  queue.stop();
+  return queue;
+}
+
+test('minScore не відкидає виснаження без score', () => {
+  const channel = new AlertChannel('test', filter);
+
+  assert.strictEqual(channel.accepts({ direction: 'SHORT', score: 50 }), false);
+  assert.strictEqual(channel.accepts({ direction: 'SHORT', score: 60 }), true);
+  assert.strictEqual(channel.accepts({ direction: 'SHORT', pattern: 'exhaustion' }), true);
+  assert.strictEqual(channel.accepts({ direction: 'LONG', pattern: 'exhaustion' }), true);
+  assert.strictEqual(new AlertChannel('test', { ...filter, directions: ['LONG'] }).accepts({ direction: 'SHORT' }), false);
+});
+
+test('WebhookChannel надсилає JSON з полями сигналу і заголовком авторизації', async (t) => {
+  const server = await startServer(t);
+  const queue = await deliver(new WebhookChannel({ ...filter, url: server.url, authHeader: 'Bearer secret' }));
+
+  assert.strictEqual(queue.items.length, 0);
+  assert.strictEqual(server.requests.length, 1);
+  const [request] = server.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  assert.deepStrictEqual(request.body, {
+    kind: 'alert', type: 'SHORT', direction: 'SHORT', pattern: 'absorption', symbol: 'BTCUSDT',
+    score: 72, tier: 'alert', time: '2026-10-19T12:00:00.000Z',
+    sweptLevels: [105, 104], sweepPrice: 105.5, delta: 120, totalVolume: 300, poc: 105, candleClose: 104.2,
+    late: false, text: 'SHORT BTCUSDT & co',
+  });
+});
+
+test('WebhookChannel: 5xx — помилка в черзі, повтор з експоненційною затримкою', async (t) => {
+  const server = await startServer(t, [{ status: 500, body: 'boom' }]);
+  const queue = await deliver(new WebhookChannel({ ...filter, url: server.url }));
+
+  assert.strictEqual(queue.items.length, 1);
+  const [item] = queue.items;
+  assert.strictEqual(item.lastError, 'HTTP 500: boom');
+  assert.ok(item.nextAttemptAt - Date.now() <= queueOptions.retryBaseMs);
+  assert.strictEqual(queue.getStatus().failedAttempts, 1);
+});
+
+test('DiscordChannel надсилає Markdown, 429 з retry_after у тілі — затримка повтору', async (t) => {
+  const server = await startServer(t, [
+    { status: 429, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ retry_after: 7.5 }) },
+  ]);
+  const queue = await deliver(new DiscordChannel({ ...filter, webhookUrl: server.url }));
+
+  assert.deepStrictEqual(server.requests[0].body, { content: '**SHORT** BTCUSDT & co' });
+  const [item] = queue.items;
+  assert.match(item.lastError, /^HTTP 429/);
+  const delayMs = item.nextAttemptAt - Date.now();
+  assert.ok(delayMs > 5_000 && delayMs <= 7_500, `затримка ${delayMs}`);
+});
+
+test('SlackChannel надсилає mrkdwn, 429 з Retry-After — затримка повтору', async (t) => {
+  const rateLimited = { status: 429, headers: { 'Retry-After': '30' }, body: 'rate_limited' };
+  const server = await startServer(t, [rateLimited, rateLimited]);
+  const channel = new SlackChannel({ ...filter, webhookUrl: server.url });
+
+  await assert.rejects(channel.sendAlert(alert), err => err.retryAfterMs === 30_000);
+  assert.deepStrictEqual(server.requests[0].body, { text: '*SHORT* BTCUSDT &amp; co' });
+
+  server.requests.length = 0;
+  const queue = await deliver(channel);
+  const delayMs = queue.items[0].nextAttemptAt - Date.now();
+  assert.ok(delayMs > 25_000 && delayMs <= 30_000, `затримка ${delayMs}`);
+  assert.strictEqual(server.requests.length, 1);
+});
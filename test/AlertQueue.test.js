@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AlertQueue = require('../src/services/AlertQueue');
+
+const options = { retryBaseMs: 1000, retryMaxMs: 10_000, ratePerMinute: 60_000, lateAfterMs: 120_000, maxAgeMs: 3_600_000 };
+
+function recordingChannel() {
+  const sent = [];
+  return {
+    name: 'test',
+    sent,
+    sendAlert: async (alert) => { sent.push(['alert', alert.html]); },
+    sendStatus: async (html) => { sent.push(['status', html]); },
+  };
+}
+
+test('статуси попереднього запуску відкидаються при завантаженні черги', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'queue.json');
+
+  const before = new AlertQueue([recordingChannel()], { ...options, file });
+  before.enqueueStatus('test', '🛑 Зупинка');
+  before.enqueueAlert('test', { html: 'SHORT', data: {} });
+
+  const after = new AlertQueue([recordingChannel()], { ...options, file });
+  assert.deepStrictEqual(after.items.map(item => item.kind), ['alert']);
+  assert.strictEqual(after.getStatus().dropped, 1);
+});
+
+test('застарілий статус відкидається, застарілий алерт надсилається з LATE', async (t) => {
+  const channel = recordingChannel();
+  const queue = new AlertQueue([channel], options);
+  queue.enqueueStatus('test', 'статус');
+  queue.enqueueAlert('test', { html: 'SHORT', data: {} });
+  for (const item of queue.items) item.createdAt -= options.lateAfterMs + 1;
+
+  await queue.process();
+  queue.stop();
+
+  assert.strictEqual(channel.sent.length, 1);
+  assert.strictEqual(channel.sent[0][0], 'alert');
+  assert.match(channel.sent[0][1], /LATE/);
+});
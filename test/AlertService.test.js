@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const AlertService = require('../src/services/AlertService');
+const AlertQueue = require('../src/services/AlertQueue');
+const logger = require('../src/utils/logger');
+
+const queueOptions = { retryBaseMs: 1000, retryMaxMs: 10_000, ratePerMinute: 60_000, lateAfterMs: 120_000, maxAgeMs: 3_600_000 };
+const data = { symbol: 'BTCUSDT', score: 70, tier: 'alert', sweptLevels: [105, 104], sweepPrice: 105.5, swingLevel: 105, poc: 105 };
+
+function channel(name, send) {
+  return { name, accepts: () => true, sendAlert: send, sendStatus: async () => {} };
+}
+
+function serviceWith(channels) {
+  const service = new AlertService(channels);
+  service.queue = new AlertQueue(channels, queueOptions);
+  service.formatter = { format: () => '<b>SHORT</b>' };
+  return service;
+}
+
+test('лог доставки — за результатом саме цього алерту в кожному каналі', async (t) => {
+  const warn = t.mock.method(logger, 'warn', () => {});
+  const info = t.mock.method(logger, 'info', () => {});
+
+  const service = serviceWith([
+    channel('ok', async () => {}),
+    channel('down', async () => { throw new Error('ECONNRESET'); }),
+  ]);
+  assert.strictEqual(await service.sendShortAlert(data), true);
+  service.queue.stop();
+
+  const messages = warn.mock.calls.map(call => call.arguments[0]).filter(m => m.startsWith('[AlertService]'));
+  assert.deepStrictEqual(messages, [
+    '[AlertService] ⏳ BTCUSDT SHORT алерт не доставлено одразу: у черзі down (помилка: ECONNRESET); надіслано ok',
+  ]);
+  assert.ok(!info.mock.calls.some(call => call.arguments[0].includes('✅ BTCUSDT SHORT')));
+});
+
+test('алерт за старішим повідомленням каналу — у черзі, а не надісланий', async (t) => {
+  const warn = t.mock.method(logger, 'warn', () => {});
+  t.mock.method(logger, 'info', () => {});
+
+  let fail = true;
+  const service = serviceWith([channel('slow', async () => { if (fail) throw new Error('HTTP 502'); })]);
+  await service.sendShortAlert(data);
+
+  // Старіший алерт ще чекає повтору — новий стоїть за ним
+  fail = false;
+  await service.sendLongAlert({ ...data, sweptLevels: [95], sweepPrice: 94 });
+  service.queue.stop();
+
+  const messages = warn.mock.calls.map(call => call.arguments[0]).filter(m => m.startsWith('[AlertService]'));
+  assert.strictEqual(messages[1], '[AlertService] ⏳ BTCUSDT LONG алерт не доставлено одразу: у черзі slow (чекає черги каналу)');
+});
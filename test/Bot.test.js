@@ -0,0 +1,33 @@
+process.env.SYMBOLS = 'btcusdt,ethusdt';
+process.env.STATE_PERSIST = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Bot = require('../src/services/Bot');
+
+test('добові підсумки всіх символів надсилаються одним статусом', async () => {
+  const statuses = [];
+  const alertService = { sendStatus: async (text) => { statuses.push(text); } };
+  const bot = new Bot({ alertService, rest: null, signalPublisher: null });
+  const [btc, eth] = bot.pipelines.values();
+
+  btc.outcomeTracker.emit('dailySummary', { symbol: 'BTCUSDT', day: '2026-10-18', text: 'btc' });
+  assert.strictEqual(statuses.length, 0);
+
+  eth.outcomeTracker.emit('dailySummary', { symbol: 'ETHUSDT', day: '2026-10-18', text: 'eth' });
+  assert.strictEqual(statuses.length, 1);
+  assert.match(statuses[0], /Підсумок сигналів за 2026-10-18/);
+  assert.match(statuses[0], /btc[\s\S]*eth/);
+});
+
+test('доба без звіту всіх символів надсилається, коли почалась наступна', () => {
+  const statuses = [];
+  const bot = new Bot({ alertService: { sendStatus: async (text) => { statuses.push(text); } }, rest: null, signalPublisher: null });
+  const [btc] = bot.pipelines.values();
+
+  btc.outcomeTracker.emit('dailySummary', { symbol: 'BTCUSDT', day: '2026-10-18', text: 'btc 18' });
+  btc.outcomeTracker.emit('dailySummary', { symbol: 'BTCUSDT', day: '2026-10-19', text: 'btc 19' });
+  assert.strictEqual(statuses.length, 1);
+  assert.match(statuses[0], /2026-10-18[\s\S]*btc 18/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const { config } = require('../src/config');
+const DataHealthMonitor = require('../src/services/DataHealthMonitor');
+
+function stream(name, lagMs) {
+  const s = new EventEmitter();
+  Object.assign(s, { name, isConnected: true, lastMessageAt: Date.now(), lagMs, resyncs: [] });
+  s.resync = (detail) => s.resyncs.push(detail);
+  return s;
+}
+
+test('перша перевірка позначається як initial', () => {
+  const agg = stream('aggTrade', 0);
+  const kline = stream('kline_1m', 0);
+  agg.isConnected = false;
+  const monitor = new DataHealthMonitor([agg, kline]);
+
+  const events = [];
+  monitor.on('unhealthy', (issues, info) => events.push(['unhealthy', info.initial]));
+  monitor.on('healthy', (info) => events.push(['healthy', info.initial]));
+
+  monitor.check();
+  agg.isConnected = true;
+  monitor.check();
+
+  assert.deepStrictEqual(events, [['unhealthy', true], ['healthy', false]]);
+});
+
+test('тривала розбіжність годинників перепідключає відсталий потік', (t) => {
+  const agg = stream('aggTrade', 0);
+  const kline = stream('kline_1m', config.health.maxClockSkewMs + 1_000);
+  const monitor = new DataHealthMonitor([agg, kline]);
+
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  assert.strictEqual(monitor.check(), false);
+  assert.strictEqual(kline.resyncs.length, 0);
+
+  now += config.health.skewResyncMs;
+  monitor.check();
+  assert.strictEqual(kline.resyncs.length, 1);
+  assert.strictEqual(agg.resyncs.length, 0);
+});
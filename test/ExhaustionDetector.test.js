@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { config } = require('../src/config');
+const RollingStats = require('../src/utils/rollingStats');
+const ExhaustionDetector = require('../src/detectors/ExhaustionDetector');
+
+function readyDetector() {
+  const stats = new RollingStats(5);
+  for (let i = 0; i < 5; i++) stats.push(100, 50);
+  return new ExhaustionDetector({ symbol: 'btcusdt' }, stats);
+}
+
+const candle = { open: 100, high: 105, low: 99, close: 101 };
+const footprint = { delta: 1, totalVolume: 10, poc: 102 };
+const none = { count: 0, weight: 0, swept: [], equalClusters: [] };
+const sweptNoEqual = { count: 2, weight: 2, swept: [{ price: 104 }, { price: 103 }], equalClusters: [] };
+
+test('вікно підтвердження береться з конфігу', () => {
+  assert.strictEqual(readyDetector().maxConfirmCandles, config.alert.exhaustionConfirmCandles);
+});
+
+test('equalLevels.mode=require відкидає sweep без equal-кластера', (t) => {
+  const mode = config.equalLevels.mode;
+  config.equalLevels.mode = 'require';
+  t.after(() => { config.equalLevels.mode = mode; });
+  const detector = readyDetector();
+
+  detector.checkCandle(candle, footprint, none, sweptNoEqual);
+  assert.strictEqual(detector.hasPending(), false);
+
+  detector.checkCandle(candle, footprint, none, { ...sweptNoEqual, equalClusters: [{ levels: [{ price: 104 }] }] });
+  assert.strictEqual(detector.hasPending(), true);
+});
+
+test('розворот на свічці з неповним footprint не підтверджує виснаження', () => {
+  const detector = readyDetector();
+  detector.checkCandle(candle, footprint, none, sweptNoEqual);
+  assert.strictEqual(detector.hasPending(), true);
+
+  const reversal = { openTime: 60_000, open: 101, high: 102, low: 97, close: 98 };
+  assert.strictEqual(detector.checkConfirmation(reversal, { ...footprint, incomplete: true }).type, null);
+  assert.strictEqual(detector.checkConfirmation(reversal, footprint).type, 'SHORT');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const FootprintEngine = require('../src/engines/FootprintEngine');
+
+let aggId = 0;
+function trade(T, p) {
+  aggId++;
+  return { e: 'aggTrade', a: aggId, f: aggId, l: aggId, p: String(p), q: '1', m: false, T };
+}
+
+test('зміна priceClusterSize посеред хвилини діє з наступної свічки', () => {
+  const settings = { symbol: 'btcusdt', priceClusterSize: 10 };
+  const engine = new FootprintEngine(settings);
+
+  engine.handleTrade(trade(1_000, 101));
+  settings.priceClusterSize = 1;
+  engine.handleTrade(trade(2_000, 103));
+  engine.handleTrade(trade(61_000, 103));
+
+  assert.deepStrictEqual(engine.calculate(0).clusters.map(c => c.price), [100]);
+  assert.deepStrictEqual(engine.calculate(60_000).clusters.map(c => c.price), [103]);
+});
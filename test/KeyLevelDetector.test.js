@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const KeyLevelDetector = require('../src/detectors/KeyLevelDetector');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function candle(openTime, high, low) {
+  return { openTime, closeTime: openTime + MINUTE_MS - 1, open: low, high, low, close: (high + low) / 2 };
+}
+
+function level(detector, label) {
+  return detector.getStatus().find(l => l.label === label);
+}
+
+test('backfill через північ UTC після seed не перезаписує PDH/PDL', () => {
+  const detector = new KeyLevelDetector({ symbol: 'btcusdt' });
+  const today = Math.floor(Date.UTC(2024, 0, 10) / DAY_MS) * DAY_MS;
+
+  detector.seed(
+    'day',
+    { start: today - DAY_MS, high: 110, low: 90 },
+    { start: today, high: 105, low: 95 },
+  );
+
+  // 2 години вчора + 2 години сьогодні — як backfill о 02:00 UTC
+  for (let t = today - 2 * 60 * MINUTE_MS; t < today + 2 * 60 * MINUTE_MS; t += MINUTE_MS) {
+    detector.applyCandle(candle(t, 104, 96));
+  }
+
+  assert.strictEqual(level(detector, 'PDH').price, 110);
+  assert.strictEqual(level(detector, 'PDL').price, 90);
+  assert.deepStrictEqual(
+    { start: detector.running.day.start, high: detector.running.day.high, low: detector.running.day.low },
+    { start: today, high: 105, low: 95 },
+  );
+});
+
+test('завершена доба після seed публікується як нові PDH/PDL', () => {
+  const detector = new KeyLevelDetector({ symbol: 'btcusdt' });
+  const today = Math.floor(Date.UTC(2024, 0, 10) / DAY_MS) * DAY_MS;
+
+  detector.seed(
+    'day',
+    { start: today - DAY_MS, high: 110, low: 90 },
+    { start: today, high: 105, low: 95 },
+  );
+  detector.applyCandle(candle(today + DAY_MS, 101, 99));
+
+  assert.strictEqual(level(detector, 'PDH').price, 105);
+  assert.strictEqual(level(detector, 'PDL').price, 95);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReplayAlertSink = require('../src/services/ReplayAlertSink');
+
+const data = { symbol: 'BTCUSDT', pattern: 'absorption', tier: 'silent', score: 30, candle: { openTime: 0, open: 1, high: 2, low: 0.5, close: 1 } };
+
+test('сигнали з tier=silent теж пишуться в результати replay', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-sink-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const sink = new ReplayAlertSink(path.join(dir, 'out.ndjson'));
+  await sink.recordSilentSignal('SHORT', data);
+  await sink.sendLongAlert({ ...data, tier: 'alert', score: 70 });
+  await sink.close();
+
+  const records = fs.readFileSync(sink.outFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(records.map(r => [r.type, r.tier]), [['SHORT', 'silent'], ['LONG', 'alert']]);
+  assert.deepStrictEqual(sink.counts, { SHORT: 1, LONG: 1, EXHAUSTION_SHORT: 0, EXHAUSTION_LONG: 0, silent: 1 });
+});
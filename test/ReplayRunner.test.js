@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReplayRunner = require('../src/services/ReplayRunner');
+
+const trade = { e: 'aggTrade', E: 1, s: 'BTCUSDT', a: 1, f: 1, l: 1, p: '50000', q: '1', m: false, T: 1 };
+
+function parse(line) {
+  const ctx = { stats: { skipped: 0 } };
+  return { msg: ReplayRunner.prototype._parseLine.call(ctx, line), skipped: ctx.stats.skipped };
+}
+
+test('_parseLine розгортає сире повідомлення, combined stream і рядок StreamRecorder', () => {
+  const combined = { stream: 'btcusdt@aggTrade', data: trade };
+  const recorded = { receivedAt: 2, stream: 'aggTrade', data: combined };
+
+  for (const line of [trade, combined, recorded].map(JSON.stringify)) {
+    assert.deepStrictEqual(parse(line), { msg: trade, skipped: 0 });
+  }
+});
+
+test('_parseLine пропускає невалідні рядки та інші події', () => {
+  assert.deepStrictEqual(parse('{oops'), { msg: null, skipped: 1 });
+  assert.deepStrictEqual(parse(JSON.stringify({ stream: 'x', data: { e: 'depthUpdate' } })), { msg: null, skipped: 1 });
+});
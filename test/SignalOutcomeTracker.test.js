@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SignalOutcomeTracker = require('../src/services/SignalOutcomeTracker');
+
+const options = { symbol: 'BTCUSDT', horizonMinutes: 2, rTargets: [1], stopBufferPct: 0, dailySummary: false, file: null };
+const data = { pattern: 'exhaustion', sweptCount: 2, sweepPrice: 105, candle: { openTime: 0 } };
+
+function candle(minute, high, low) {
+  return { openTime: minute * 60_000, open: 100, high, low, close: 100 };
+}
+
+test('статистика ведеться по патерну і переживає getState/restoreState', async () => {
+  const tracker = new SignalOutcomeTracker(options);
+  tracker.track('SHORT', data, candle(1, 101, 100), true);
+  await tracker.onCandle(candle(2, 101, 99));
+
+  const restored = new SignalOutcomeTracker(options);
+  restored.restoreState(JSON.parse(JSON.stringify(tracker.getState())));
+  assert.strictEqual(restored.active.length, 1);
+
+  await restored.onCandle(candle(3, 100, 94));
+  const bucket = restored.getStats().totals.alerted.byPattern.exhaustion.SHORT;
+  assert.strictEqual(bucket.count, 1);
+  assert.deepStrictEqual(bucket.targets[1], { target: 1, stop: 0, open: 0 });
+  assert.strictEqual(restored.getStats().totals.alerted.byPattern.absorption, undefined);
+});
+
+test('надіслані алерти і сигнали без алерту рахуються окремо, підсумок — подією', async () => {
+  const tracker = new SignalOutcomeTracker({ ...options, dailySummary: true });
+  const summaries = [];
+  tracker.on('dailySummary', summary => summaries.push(summary));
+
+  tracker.track('SHORT', data, candle(1, 101, 100), true);
+  tracker.track('SHORT', data, candle(1, 101, 100), false);
+  await tracker.onCandle(candle(2, 101, 99));
+  await tracker.onCandle(candle(3, 106, 99));
+
+  const { alerted, unsent } = tracker.getStats().totals;
+  assert.strictEqual(alerted.byType.SHORT.count, 1);
+  assert.strictEqual(unsent.byType.SHORT.count, 1);
+  assert.strictEqual(alerted.bySweptCount[2].count, 1);
+
+  await tracker.onCandle(candle(24 * 60, 100, 100));
+  assert.strictEqual(summaries.length, 1);
+  assert.strictEqual(summaries[0].day, '1970-01-01');
+  assert.strictEqual(summaries[0].symbol, 'BTCUSDT');
+  assert.match(summaries[0].text, /За добу \(алерти\):<\/b>\n {2}SHORT: 1 сигн\./);
+  assert.strictEqual(tracker.getStats().daily.alerted.byType.SHORT.count, 0);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const StreamRecorder = require('../src/services/StreamRecorder');
+
+const receivedAt = Date.UTC(2026, 9, 19, 12);
+const date = '2026-10-19';
+
+function recorderIn(dir, maxFileSizeMb = 100) {
+  return new StreamRecorder({ dir, maxFileSizeMb, maxTotalSizeMb: 5_000, retentionDays: 14 });
+}
+
+test('ротація в теку дня з видаленими файлами не перезаписує наявні', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // -000 уже видалено retention, лишились -001 і -002
+  const dayDir = path.join(dir, 'aggTrade', date);
+  fs.mkdirSync(dayDir, { recursive: true });
+  for (const seq of ['001', '002']) {
+    fs.writeFileSync(path.join(dayDir, `aggTrade-${date}-${seq}.ndjson.gz`), zlib.gzipSync(`old ${seq}\n`));
+  }
+
+  const recorder = recorderIn(dir);
+  recorder.record('aggTrade', '{"e":"aggTrade"}', receivedAt);
+  await recorder.close();
+
+  assert.deepStrictEqual(fs.readdirSync(dayDir).sort(), [
+    `aggTrade-${date}-001.ndjson.gz`,
+    `aggTrade-${date}-002.ndjson.gz`,
+    `aggTrade-${date}-003.ndjson.gz`,
+  ]);
+  assert.strictEqual(zlib.gunzipSync(fs.readFileSync(path.join(dayDir, `aggTrade-${date}-002.ndjson.gz`))).toString(), 'old 002\n');
+});
+
+test('ліміт розміру файлу рахується в байтах', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = recorderIn(dir);
+  recorder.record('aggTrade', '{"s":"ї"}', receivedAt);
+  const line = `{"receivedAt":${receivedAt},"stream":"aggTrade","data":{"s":"ї"}}\n`;
+  assert.strictEqual(recorder.writers.get('aggTrade').bytes, Buffer.byteLength(line));
+  await recorder.close();
+});